@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Analyze shiny sprites as palette swaps
+ * Compares every front sprite with its front shiny pixel by pixel and builds
+ * the color mapping from normal to shiny. A proper shiny keeps the outline and
+ * maps each normal color to exactly one shiny color.
+ *
+ * Each Moemon filename and Radical Red ID gets one status:
+ *   palette-swap      every normal color maps to one shiny color
+ *   identical         the shiny looks exactly like the normal sprite
+ *   shape-changed     sprite pixels were added or removed in the shiny
+ *   not-palette-swap  same outline, but a normal color maps to several shiny colors
+ *   size-mismatch     the two sprites have different dimensions
+ *   missing           the normal or the shiny sprite does not exist
+ *   error             a sprite could not be read or decoded
+ * Background pixels (transparent or the top-left color) are not part of the
+ * palette, so a different background color in the shiny is fine. Sprites are
+ * compared as RGBA, so two palette slots sharing one normal color but not one
+ * shiny color also show up as not-palette-swap.
+ *
+ * The full report keeps each sprite's palette. The viewer only needs the flagged
+ * sprites, so their statuses also go to a compact status file:
+ *   { "moemon": { "0006-3.png": "identical" }, "pokemon": { "25": "missing" } }
+ *
+ * Usage: node analyze-shiny-palettes.js [split-dir] [rr-sprites-dir] [output-file] [status-file]
+ * Default: node analyze-shiny-palettes.js ./moemon-sprites-split ./Radical-Red-Pokedex-master/graphics/species ./shiny-palette-report.json ./shiny-status.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const SPLIT_DIR = args[0] || './moemon-sprites-split';
+const RR_SPRITES_DIR = args[1] || './Radical-Red-Pokedex-master/graphics/species';
+const OUTPUT_FILE = args[2] || './shiny-palette-report.json';
+const STATUS_FILE = args[3] || './shiny-status.json';
+
+const STATUSES = ['palette-swap', 'identical', 'shape-changed', 'not-palette-swap', 'size-mismatch', 'missing', 'error'];
+
+/**
+ * Load a sprite as raw RGBA along with its background color
+ */
+async function loadSprite(filePath) {
+    const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, background: data.readUInt32BE(0) };
+}
+
+function isBackground(sprite, offset) {
+    return sprite.data[offset + 3] === 0 || sprite.data.readUInt32BE(offset) === sprite.background;
+}
+
+/**
+ * Format an RGBA color as #rrggbb, or #rrggbbaa when not fully opaque
+ */
+function toHex(color) {
+    const rgba = color.toString(16).padStart(8, '0');
+    return '#' + (rgba.endsWith('ff') ? rgba.slice(0, 6) : rgba);
+}
+
+/**
+ * Compare a normal and a shiny sprite file
+ */
+async function analyzePair(normalPath, shinyPath) {
+    const hasNormal = fs.existsSync(normalPath);
+    const hasShiny = fs.existsSync(shinyPath);
+    if (!hasNormal || !hasShiny) {
+        return { status: 'missing', missing: hasNormal ? 'shiny' : 'normal' };
+    }
+
+    const normal = await loadSprite(normalPath);
+    const shiny = await loadSprite(shinyPath);
+    if (normal.width !== shiny.width || normal.height !== shiny.height) {
+        return {
+            status: 'size-mismatch',
+            normalSize: `${normal.width}x${normal.height}`,
+            shinySize: `${shiny.width}x${shiny.height}`
+        };
+    }
+
+    // normal color -> Map(shiny color -> pixel count)
+    const mapping = new Map();
+    let shapePixels = 0;
+    let changedPixels = 0;
+
+    for (let offset = 0; offset < normal.data.length; offset += 4) {
+        const normalEmpty = isBackground(normal, offset);
+        const shinyEmpty = isBackground(shiny, offset);
+        if (normalEmpty && shinyEmpty) continue;
+        if (normalEmpty !== shinyEmpty) {
+            shapePixels++;
+            continue;
+        }
+
+        const from = normal.data.readUInt32BE(offset);
+        const to = shiny.data.readUInt32BE(offset);
+        if (from !== to) changedPixels++;
+
+        if (!mapping.has(from)) mapping.set(from, new Map());
+        const targets = mapping.get(from);
+        targets.set(to, (targets.get(to) || 0) + 1);
+    }
+
+    // Most common shiny color per normal color; the rest are conflicts
+    const palette = {};
+    let conflictPixels = 0;
+    let conflictColors = 0;
+    for (const [from, targets] of mapping) {
+        const sorted = Array.from(targets).sort((a, b) => b[1] - a[1]);
+        palette[toHex(from)] = toHex(sorted[0][0]);
+        if (sorted.length > 1) {
+            conflictColors++;
+            conflictPixels += sorted.slice(1).reduce((sum, [, count]) => sum + count, 0);
+        }
+    }
+
+    let status = 'palette-swap';
+    if (shapePixels > 0) status = 'shape-changed';
+    else if (conflictColors > 0) status = 'not-palette-swap';
+    else if (changedPixels === 0) status = 'identical';
+
+    const result = { status, colors: mapping.size, palette };
+    if (shapePixels > 0) result.shapePixels = shapePixels;
+    if (conflictColors > 0) {
+        result.conflictColors = conflictColors;
+        result.conflictPixels = conflictPixels;
+    }
+    return result;
+}
+
+/**
+ * Analyze every sprite in a front folder against its front shiny folder
+ * keyFor turns a filename into the report key (filename or RR ID)
+ */
+async function analyzeFolder(baseDir, keyFor, label) {
+    const frontDir = path.join(baseDir, 'front');
+    const shinyDir = path.join(baseDir, 'front shiny');
+    const results = {};
+
+    if (!fs.existsSync(frontDir)) {
+        console.log(`  Skipped ${label}: '${frontDir}' not found`);
+        return results;
+    }
+
+    // Shinies without a normal sprite count as missing too
+    const filenames = new Set(fs.readdirSync(frontDir).filter(file => file.endsWith('.png')));
+    if (fs.existsSync(shinyDir)) {
+        for (const file of fs.readdirSync(shinyDir)) {
+            if (file.endsWith('.png')) filenames.add(file);
+        }
+    }
+
+    const sorted = Array.from(filenames).sort((a, b) => keyFor(a).localeCompare(keyFor(b), undefined, { numeric: true }));
+    console.log(`  ${label}: ${sorted.length} sprites`);
+
+    for (const filename of sorted) {
+        try {
+            results[keyFor(filename)] = await analyzePair(path.join(frontDir, filename), path.join(shinyDir, filename));
+        } catch (error) {
+            console.error(`Error processing ${label} ${filename}: ${error.message}`);
+            results[keyFor(filename)] = { status: 'error', error: error.message };
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Statuses of the sprites that are not a clean palette swap
+ */
+function getIssues(results) {
+    const issues = {};
+    for (const [key, result] of Object.entries(results)) {
+        if (result.status !== 'palette-swap') issues[key] = result.status;
+    }
+    return issues;
+}
+
+function countStatuses(results) {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const result of Object.values(results)) {
+        counts[result.status]++;
+    }
+    return counts;
+}
+
+async function main() {
+    console.log('Shiny Palette Analyzer\n');
+    console.log('='.repeat(50));
+    console.log('Analyzing sprites...');
+
+    const moemon = await analyzeFolder(SPLIT_DIR, filename => filename, 'Moemon');
+    const pokemon = await analyzeFolder(RR_SPRITES_DIR, filename => path.basename(filename, '.png'), 'Pokemon');
+
+    const output = { moemon, pokemon };
+
+    console.log(`Writing to ${OUTPUT_FILE}...`);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2), 'utf8');
+    console.log(`Writing to ${STATUS_FILE}...`);
+    fs.writeFileSync(STATUS_FILE, JSON.stringify({ moemon: getIssues(moemon), pokemon: getIssues(pokemon) }), 'utf8');
+
+    // Print statistics
+    console.log('\n' + '='.repeat(50));
+    console.log('\n✓ Shiny analysis complete!');
+    for (const [label, results] of [['Moemon', moemon], ['Pokemon', pokemon]]) {
+        const counts = countStatuses(results);
+        console.log(`\n  ${label}: ${Object.keys(results).length} sprites`);
+        for (const status of STATUSES) {
+            const mark = status === 'palette-swap' ? '✓' : '⚠';
+            console.log(`    ${mark} ${status}: ${counts[status]}`);
+        }
+    }
+
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`\nShiny report saved to: ${OUTPUT_FILE}`);
+    console.log(`Shiny statuses saved to: ${STATUS_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Build the viewer's asset manifest
+ * Lists every official artwork file, Radical Red sprite and Moemon sprite with
+ * its dimensions and a content hash, so index.html knows up front which images
+ * exist instead of probing for them or waiting for onerror.
+ *
+ * Entries are [width, height, hash] (hash = first 16 hex digits of SHA-1), keyed
+ * the way the viewer looks images up:
+ *   { "version": 1,
+ *     "artwork": { "25": [475, 475, "..."] },
+ *     "pokemon": { "front": { "6": [64, 64, "..."] }, "front-shiny": {...}, ... },
+ *     "moemon": { "front": { "0006-3.png": [64, 64, "..."] }, ... } }
+ * The manifest is written without indentation since the viewer downloads it.
+ *
+ * Usage: node build-asset-manifest.js [artwork-dir] [rr-sprite-dir] [moemon-sprite-dir] [output-file]
+ * Default: node build-asset-manifest.js ./official-pokemon-artwork ./Radical-Red-Pokedex-master/graphics/species ./moemon-sprites-split ./asset-manifest.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const ARTWORK_DIR = args[0] || './official-pokemon-artwork';
+const RR_SPRITE_DIR = args[1] || './Radical-Red-Pokedex-master/graphics/species';
+const MOEMON_SPRITE_DIR = args[2] || './moemon-sprites-split';
+const OUTPUT_FILE = args[3] || './asset-manifest.json';
+
+// Viewer sprite type -> sprite folder
+const VARIANTS = {
+    'front': 'front',
+    'front-shiny': 'front shiny',
+    'back': 'back',
+    'back-shiny': 'back shiny'
+};
+
+/**
+ * Describe every PNG in a folder; keyFor turns a filename into its manifest key
+ */
+async function describeFolder(dir, keyFor) {
+    const entries = {};
+    if (!fs.existsSync(dir)) {
+        console.log(`  Skipped '${dir}' (not found)`);
+        return entries;
+    }
+
+    const files = fs.readdirSync(dir)
+        .filter(file => file.toLowerCase().endsWith('.png'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        const content = fs.readFileSync(filePath);
+        try {
+            const metadata = await sharp(content).metadata();
+            const hash = crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+            entries[keyFor(file)] = [metadata.width, metadata.height, hash];
+        } catch (error) {
+            console.error(`Error reading ${filePath}: ${error.message}`);
+        }
+    }
+
+    console.log(`  ${dir}: ${Object.keys(entries).length} images`);
+    return entries;
+}
+
+async function main() {
+    console.log('Asset Manifest Builder\n');
+    console.log('='.repeat(50));
+    console.log('Scanning images...');
+
+    const withoutExtension = file => path.basename(file, path.extname(file));
+    const manifest = {
+        version: 1,
+        artwork: await describeFolder(ARTWORK_DIR, withoutExtension),
+        pokemon: {},
+        moemon: {}
+    };
+
+    for (const [type, folder] of Object.entries(VARIANTS)) {
+        manifest.pokemon[type] = await describeFolder(path.join(RR_SPRITE_DIR, folder), withoutExtension);
+    }
+    for (const [type, folder] of Object.entries(VARIANTS)) {
+        manifest.moemon[type] = await describeFolder(path.join(MOEMON_SPRITE_DIR, folder), file => file);
+    }
+
+    console.log(`Writing to ${OUTPUT_FILE}...`);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(manifest), 'utf8');
+
+    // Print statistics
+    const count = entries => Object.keys(entries).length;
+    const sum = groups => Object.values(groups).reduce((total, entries) => total + count(entries), 0);
+    console.log('\n' + '='.repeat(50));
+    console.log('\n✓ Manifest built!');
+    console.log(`  Official artwork: ${count(manifest.artwork)}`);
+    console.log(`  Pokemon sprites: ${sum(manifest.pokemon)}`);
+    console.log(`  Moemon sprites: ${sum(manifest.moemon)}`);
+
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`\nManifest saved to: ${OUTPUT_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
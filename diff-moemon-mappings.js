@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Compare two versions of the processed Moemon mapping
+ * A plain git diff of dex-to-moemon-mapping-processed.json is mostly reordered
+ * JSON; this matches forms by dexID and filename and reports what changed for each one:
+ *   added / removed   form only in the new / old mapping
+ *   moved             filename listed under another dexID (matched by filename once
+ *                     no form with the same dexID and filename is left)
+ *   renamed           name changed
+ *   canonical         isCanonical changed
+ * A form can be moved, renamed and change canonical status at the same time.
+ *
+ * Writes a Markdown report for changelogs and a JSON report for tooling.
+ * To compare against the committed mapping:
+ *   git show HEAD:dex-to-moemon-mapping-processed.json > old-mapping.json
+ *
+ * Usage: node diff-moemon-mappings.js <old-mapping> [new-mapping] [markdown-file] [json-file]
+ * Default: node diff-moemon-mappings.js <old-mapping> ./dex-to-moemon-mapping-processed.json ./mapping-diff.md ./mapping-diff.json
+ */
+
+const fs = require('fs');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const oldFile = args[0];
+const newFile = args[1] || './dex-to-moemon-mapping-processed.json';
+const markdownFile = args[2] || './mapping-diff.md';
+const jsonFile = args[3] || './mapping-diff.json';
+
+console.log('Moemon Mapping Diff\n');
+console.log('='.repeat(50));
+
+if (!oldFile) {
+    console.error('Usage: node diff-moemon-mappings.js <old-mapping> [new-mapping] [markdown-file] [json-file]');
+    process.exit(1);
+}
+for (const file of [oldFile, newFile]) {
+    if (!fs.existsSync(file)) {
+        console.error(`Error: File '${file}' not found`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Read a mapping and index its forms by dexID and filename: "dexID/filename" -> { dexID, form }
+ * A filename listed under several dexIDs keeps one entry per dexID
+ */
+function indexMapping(file) {
+    console.log(`Reading ${file}...`);
+    const mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const forms = new Map();
+    for (const [dexID, dexForms] of Object.entries(mapping)) {
+        for (const form of dexForms) {
+            forms.set(`${parseInt(dexID)}/${form.filename}`, { dexID: parseInt(dexID), form });
+        }
+    }
+    return forms;
+}
+
+/**
+ * Group the entries no exact dexID/filename match took by filename, in dex order
+ */
+function groupByFilename(entries) {
+    const groups = new Map();
+    for (const entry of entries.sort((a, b) => a.dexID - b.dexID)) {
+        if (!groups.has(entry.form.filename)) groups.set(entry.form.filename, []);
+        groups.get(entry.form.filename).push(entry);
+    }
+    return groups;
+}
+
+/**
+ * Compare two indexed mappings
+ */
+function diffMappings(oldForms, newForms) {
+    const diff = { added: [], removed: [], moved: [], renamed: [], canonical: [] };
+    const describe = ({ dexID, form }) => ({
+        dexID: dexID,
+        filename: form.filename,
+        name: form.name,
+        isCanonical: Boolean(form.isCanonical)
+    });
+    const compare = (before, entry) => {
+        const filename = entry.form.filename;
+        if (before.dexID !== entry.dexID) {
+            diff.moved.push({ filename, name: entry.form.name, from: before.dexID, to: entry.dexID });
+        }
+        if (before.form.name !== entry.form.name) {
+            diff.renamed.push({ dexID: entry.dexID, filename, from: before.form.name, to: entry.form.name });
+        }
+        if (Boolean(before.form.isCanonical) !== Boolean(entry.form.isCanonical)) {
+            diff.canonical.push({
+                dexID: entry.dexID,
+                filename,
+                name: entry.form.name,
+                from: Boolean(before.form.isCanonical),
+                to: Boolean(entry.form.isCanonical)
+            });
+        }
+    };
+
+    // Same dexID and filename first; what is left over under another dexID was moved
+    const unmatchedNew = [];
+    for (const [key, entry] of newForms) {
+        if (oldForms.has(key)) compare(oldForms.get(key), entry);
+        else unmatchedNew.push(entry);
+    }
+    const unmatchedOld = groupByFilename(Array.from(oldForms).filter(([key]) => !newForms.has(key)).map(([, entry]) => entry));
+
+    for (const [filename, entries] of groupByFilename(unmatchedNew)) {
+        const candidates = unmatchedOld.get(filename) || [];
+        for (const entry of entries) {
+            if (candidates.length > 0) compare(candidates.shift(), entry);
+            else diff.added.push(describe(entry));
+        }
+    }
+    for (const entries of unmatchedOld.values()) {
+        diff.removed.push(...entries.map(describe));
+    }
+
+    // Dex order (new dexID for moves), then filename, so reports of the same drop always read the same
+    const dexOf = item => item.dexID !== undefined ? item.dexID : item.to;
+    const byDex = (a, b) => dexOf(a) - dexOf(b) || a.filename.localeCompare(b.filename, undefined, { numeric: true });
+    for (const list of Object.values(diff)) {
+        list.sort(byDex);
+    }
+    return diff;
+}
+
+// Markdown table cell: pipes would end the cell
+function cell(value) {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+function formatTable(headers, rows) {
+    const lines = [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '---').join('|')}|`
+    ];
+    for (const row of rows) {
+        lines.push(`| ${row.map(cell).join(' | ')} |`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format the diff as Markdown: a summary table, then one section per change type
+ */
+function formatMarkdown(diff) {
+    const canonicalMark = value => value ? '★' : '';
+    const sections = [
+        {
+            title: 'Added',
+            headers: ['Dex #', 'File', 'Name', 'Canonical'],
+            rows: diff.added.map(item => [item.dexID, `\`${item.filename}\``, item.name, canonicalMark(item.isCanonical)])
+        },
+        {
+            title: 'Removed',
+            headers: ['Dex #', 'File', 'Name', 'Canonical'],
+            rows: diff.removed.map(item => [item.dexID, `\`${item.filename}\``, item.name, canonicalMark(item.isCanonical)])
+        },
+        {
+            title: 'Moved',
+            headers: ['File', 'Name', 'Old Dex #', 'New Dex #'],
+            rows: diff.moved.map(item => [`\`${item.filename}\``, item.name, item.from, item.to])
+        },
+        {
+            title: 'Renamed',
+            headers: ['Dex #', 'File', 'Old Name', 'New Name'],
+            rows: diff.renamed.map(item => [item.dexID, `\`${item.filename}\``, item.from, item.to])
+        },
+        {
+            title: 'Canonical Changes',
+            headers: ['Dex #', 'File', 'Name', 'Change'],
+            rows: diff.canonical.map(item => [item.dexID, `\`${item.filename}\``, item.name, item.to ? 'now canonical ★' : 'no longer canonical'])
+        }
+    ];
+
+    const lines = [
+        '# Moemon Mapping Diff',
+        '',
+        `\`${oldFile}\` → \`${newFile}\``,
+        '',
+        formatTable(['Change', 'Forms'], sections.map(section => [section.title, section.rows.length]))
+    ];
+
+    for (const section of sections) {
+        if (section.rows.length === 0) continue;
+        lines.push('', `## ${section.title} (${section.rows.length})`, '', formatTable(section.headers, section.rows));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+const oldForms = indexMapping(oldFile);
+const newForms = indexMapping(newFile);
+const diff = diffMappings(oldForms, newForms);
+
+const summary = {};
+for (const [type, list] of Object.entries(diff)) {
+    summary[type] = list.length;
+}
+
+console.log(`Writing to ${markdownFile}...`);
+fs.writeFileSync(markdownFile, formatMarkdown(diff), 'utf8');
+console.log(`Writing to ${jsonFile}...`);
+fs.writeFileSync(jsonFile, JSON.stringify({ old: oldFile, new: newFile, summary, ...diff }, null, 2), 'utf8');
+
+// Print statistics
+console.log('\n' + '='.repeat(50));
+console.log('\n✓ Diff complete!');
+console.log(`  Forms: ${oldForms.size} → ${newForms.size}`);
+console.log(`  Added: ${summary.added}`);
+console.log(`  Removed: ${summary.removed}`);
+console.log(`  Moved: ${summary.moved}`);
+console.log(`  Renamed: ${summary.renamed}`);
+console.log(`  Canonical changes: ${summary.canonical}`);
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`\nMarkdown report saved to: ${markdownFile}`);
+console.log(`JSON report saved to: ${jsonFile}`);
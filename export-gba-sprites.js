@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Export Moemon sprites as GBA-ready 4bpp indexed PNGs with JASC palettes
+ * Every form in the processed mapping gets a folder in the layout used by
+ * GBA decomp projects:
+ *   <output-dir>/<filename>/front.png   16-color indexed, index 0 transparent
+ *   <output-dir>/<filename>/back.png    same palette as front.png
+ *   <output-dir>/<filename>/normal.pal  JASC-PAL
+ *   <output-dir>/<filename>/shiny.pal   JASC-PAL, same index order as normal.pal
+ *
+ * Colors are first reduced to the GBA's 15-bit colors. Each palette slot holds
+ * a (normal, shiny) color pair, taken from front/back and their shinies at the
+ * same pixel, so one index always means the same thing in both palettes. When
+ * there are more than 15 pairs, the closest pairs are merged until 15 remain.
+ * A form is flagged lossy when a merge moved any pixel's color further than
+ * VISIBLE_ERROR.
+ *
+ * Front and back sprites must be 64x64 (see normalize-moemon-sprites.js).
+ *
+ * Usage: node export-gba-sprites.js [mapping-file] [sprite-dir] [output-dir]
+ * Default: node export-gba-sprites.js ./dex-to-moemon-mapping-processed.json ./moemon-sprites-split ./gba-export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encodeIndexedPng, formatJascPalette } = require('./indexed-png');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const MAPPING_FILE = args[0] || './dex-to-moemon-mapping-processed.json';
+const SPRITE_DIR = args[1] || './moemon-sprites-split';
+const OUTPUT_DIR = args[2] || './gba-export';
+const REPORT_FILE = path.join(OUTPUT_DIR, 'gba-export-report.json');
+
+const SPRITE_SIZE = 64;
+const MAX_COLORS = 15; // plus the transparent color at index 0
+
+// Largest RGB distance (8-bit channels) a merge may move a pixel's color
+const VISIBLE_ERROR = 24;
+
+/**
+ * Round an 8-bit channel to the nearest GBA (5-bit) value, kept in 8-bit scale
+ */
+function toGbaChannel(value) {
+    return Math.min(31, Math.round(value / 8)) * 8;
+}
+
+/**
+ * Load a sprite as RGBA; missing files load as null
+ */
+async function loadSprite(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, background: data.readUInt32BE(0) };
+}
+
+function isBackground(sprite, offset) {
+    return sprite.data[offset + 3] === 0 || sprite.data.readUInt32BE(offset) === sprite.background;
+}
+
+function getColor(sprite, offset) {
+    return {
+        r: toGbaChannel(sprite.data[offset]),
+        g: toGbaChannel(sprite.data[offset + 1]),
+        b: toGbaChannel(sprite.data[offset + 2])
+    };
+}
+
+function colorKey(color) {
+    return `${color.r},${color.g},${color.b}`;
+}
+
+function colorDistance(a, b) {
+    return Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+}
+
+/**
+ * Collect the (normal, shiny) color pair of every sprite pixel
+ * Returns the pairs and, per image, the pair key of each pixel (null = background)
+ */
+function collectColorPairs(images, issues) {
+    const pairs = new Map();
+    let shapeMismatches = 0;
+
+    const pixelKeys = images.map(({ normal, shiny }) => {
+        const keys = new Array(normal.width * normal.height).fill(null);
+        for (let i = 0; i < keys.length; i++) {
+            const offset = i * 4;
+            if (isBackground(normal, offset)) continue;
+
+            const normalColor = getColor(normal, offset);
+            let shinyColor = normalColor;
+            if (shiny) {
+                if (isBackground(shiny, offset)) {
+                    shapeMismatches++;
+                } else {
+                    shinyColor = getColor(shiny, offset);
+                }
+            }
+
+            const key = `${colorKey(normalColor)}|${colorKey(shinyColor)}`;
+            if (!pairs.has(key)) {
+                pairs.set(key, { normal: normalColor, shiny: shinyColor, count: 0 });
+            }
+            pairs.get(key).count++;
+            keys[i] = key;
+        }
+        return keys;
+    });
+
+    if (shapeMismatches > 0) {
+        issues.push(`${shapeMismatches} shiny pixels are background where the normal sprite is not`);
+    }
+
+    return { pairs, pixelKeys };
+}
+
+/**
+ * Merge color pairs until at most MAX_COLORS remain
+ * Always merges the two clusters that cost the least (Ward's method on the
+ * normal and shiny colors together), so rare, similar colors go first.
+ */
+function reduceColorPairs(pairs) {
+    const clusters = Array.from(pairs, ([key, pair]) => ({
+        keys: [key],
+        count: pair.count,
+        normal: { ...pair.normal },
+        shiny: { ...pair.shiny }
+    }));
+
+    const cost = (a, b) => {
+        const distance = colorDistance(a.normal, b.normal) ** 2 + colorDistance(a.shiny, b.shiny) ** 2;
+        return (a.count * b.count) / (a.count + b.count) * distance;
+    };
+    const mix = (a, b, channel, part) =>
+        (a[part][channel] * a.count + b[part][channel] * b.count) / (a.count + b.count);
+
+    while (clusters.length > MAX_COLORS) {
+        let best = null;
+        for (let i = 0; i < clusters.length; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                const value = cost(clusters[i], clusters[j]);
+                if (!best || value < best.value) {
+                    best = { i, j, value };
+                }
+            }
+        }
+
+        const a = clusters[best.i];
+        const b = clusters[best.j];
+        const merged = { keys: a.keys.concat(b.keys), count: a.count + b.count, normal: {}, shiny: {} };
+        for (const part of ['normal', 'shiny']) {
+            for (const channel of ['r', 'g', 'b']) {
+                merged[part][channel] = mix(a, b, channel, part);
+            }
+        }
+        clusters.splice(best.j, 1);
+        clusters[best.i] = merged;
+    }
+
+    // Snap merged colors back to GBA colors
+    for (const cluster of clusters) {
+        for (const part of ['normal', 'shiny']) {
+            for (const channel of ['r', 'g', 'b']) {
+                cluster[part][channel] = toGbaChannel(cluster[part][channel]);
+            }
+        }
+    }
+
+    // Light to dark for readable palettes
+    const brightness = color => color.r * 299 + color.g * 587 + color.b * 114;
+    return clusters.sort((a, b) => brightness(b.normal) - brightness(a.normal) || b.count - a.count);
+}
+
+/**
+ * Export one form; returns its report entry
+ */
+async function exportForm(form) {
+    const issues = [];
+    const load = variant => loadSprite(path.join(SPRITE_DIR, variant, form.filename));
+    const front = await load('front');
+    const back = await load('back');
+    const frontShiny = await load('front shiny');
+    const backShiny = await load('back shiny');
+
+    if (!front) {
+        return { exported: false, issues: ['front sprite missing'] };
+    }
+
+    const images = [{ name: 'front', normal: front, shiny: frontShiny }];
+    if (back) {
+        images.push({ name: 'back', normal: back, shiny: backShiny });
+    } else {
+        issues.push('back sprite missing');
+    }
+
+    for (const image of images) {
+        if (image.normal.width !== SPRITE_SIZE || image.normal.height !== SPRITE_SIZE) {
+            return {
+                exported: false,
+                issues: issues.concat(`${image.name} is ${image.normal.width}x${image.normal.height}, expected ${SPRITE_SIZE}x${SPRITE_SIZE}`)
+            };
+        }
+        if (!image.shiny) {
+            issues.push(`${image.name} shiny missing, shiny palette copies the normal one`);
+        } else if (image.shiny.width !== image.normal.width || image.shiny.height !== image.normal.height) {
+            issues.push(`${image.name} shiny has a different size and was ignored`);
+            image.shiny = null;
+        }
+    }
+
+    const { pairs, pixelKeys } = collectColorPairs(images, issues);
+    const clusters = reduceColorPairs(pairs);
+
+    // Index 0 is the transparent background of each palette
+    const rgb = value => ({ r: toGbaChannel(value >>> 24), g: toGbaChannel((value >>> 16) & 0xff), b: toGbaChannel((value >>> 8) & 0xff) });
+    const normalPalette = [rgb(front.background)].concat(clusters.map(cluster => cluster.normal));
+    const shinyPalette = [rgb(frontShiny ? frontShiny.background : front.background)].concat(clusters.map(cluster => cluster.shiny));
+
+    // Pair key -> palette index, and how far the merge moved each pair
+    const indexByKey = new Map();
+    clusters.forEach((cluster, i) => {
+        for (const key of cluster.keys) indexByKey.set(key, i + 1);
+    });
+
+    let maxError = 0;
+    let changedPixels = 0;
+    const formDir = path.join(OUTPUT_DIR, path.basename(form.filename, '.png'));
+    fs.mkdirSync(formDir, { recursive: true });
+
+    images.forEach((image, i) => {
+        const indices = pixelKeys[i].map(key => {
+            if (key === null) return 0;
+            const index = indexByKey.get(key);
+            const pair = pairs.get(key);
+            const error = Math.max(
+                colorDistance(pair.normal, normalPalette[index]),
+                colorDistance(pair.shiny, shinyPalette[index])
+            );
+            if (error > 0) changedPixels++;
+            maxError = Math.max(maxError, error);
+            return index;
+        });
+        fs.writeFileSync(path.join(formDir, `${image.name}.png`), encodeIndexedPng(SPRITE_SIZE, SPRITE_SIZE, indices, normalPalette));
+    });
+
+    fs.writeFileSync(path.join(formDir, 'normal.pal'), formatJascPalette(normalPalette), 'utf8');
+    fs.writeFileSync(path.join(formDir, 'shiny.pal'), formatJascPalette(shinyPalette), 'utf8');
+
+    const lossy = maxError > VISIBLE_ERROR;
+    if (lossy) {
+        issues.push(`${pairs.size} color pairs reduced to ${MAX_COLORS}, max color error ${Math.round(maxError)}`);
+    }
+
+    return {
+        exported: true,
+        colorPairs: pairs.size,
+        maxError: Math.round(maxError * 10) / 10,
+        changedPixels: changedPixels,
+        lossy: lossy,
+        issues: issues
+    };
+}
+
+async function main() {
+    console.log('GBA Sprite Exporter\n');
+    console.log('='.repeat(50));
+
+    if (!fs.existsSync(MAPPING_FILE)) {
+        console.error(`Error: File '${MAPPING_FILE}' not found`);
+        process.exit(1);
+    }
+
+    console.log(`Reading ${MAPPING_FILE}...`);
+    const mapping = JSON.parse(fs.readFileSync(MAPPING_FILE, 'utf8'));
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const report = {};
+    const stats = { exported: 0, lossy: 0, skipped: 0, withIssues: 0 };
+    const dexIDs = Object.keys(mapping).map(Number).sort((a, b) => a - b);
+
+    console.log('Exporting forms...\n');
+    for (const dexID of dexIDs) {
+        for (const form of mapping[dexID]) {
+            let entry;
+            try {
+                entry = await exportForm(form);
+            } catch (error) {
+                entry = { exported: false, issues: [error.message] };
+                console.error(`Error processing ${form.filename}: ${error.message}`);
+            }
+
+            report[form.filename] = { dexID: dexID, name: form.name, ...entry };
+            if (entry.exported) stats.exported++;
+            else stats.skipped++;
+            if (entry.lossy) stats.lossy++;
+            if (entry.issues.length > 0) stats.withIssues++;
+
+            if ((stats.exported + stats.skipped) % 250 === 0) {
+                console.log(`  Processed ${stats.exported + stats.skipped} forms...`);
+            }
+        }
+    }
+
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2), 'utf8');
+
+    // Print results
+    console.log('\n' + '='.repeat(50));
+    console.log('\nExport complete!\n');
+    console.log(`✓ Exported: ${stats.exported}`);
+    console.log(`⚠ Lossy (visible color loss): ${stats.lossy}`);
+    console.log(`⚠ With issues: ${stats.withIssues}`);
+    console.log(`✗ Skipped: ${stats.skipped}`);
+
+    const lossyForms = Object.entries(report).filter(([, entry]) => entry.lossy);
+    if (lossyForms.length > 0) {
+        console.log('\nLossy forms:');
+        for (const [filename, entry] of lossyForms.slice(0, 20)) {
+            console.log(`  ${filename} (${entry.name}): ${entry.colorPairs} color pairs, max error ${entry.maxError}`);
+        }
+        if (lossyForms.length > 20) {
+            console.log(`  ... and ${lossyForms.length - 20} more (see report)`);
+        }
+    }
+
+    console.log(`\nSprites saved to: ${OUTPUT_DIR}`);
+    console.log(`Report saved to: ${REPORT_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
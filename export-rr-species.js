@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Export a "moemonized" Radical Red sprite set
+ * Writes a tree laid out like Radical-Red-Pokedex-master/graphics/species,
+ * {front,front shiny,back,back shiny}/<ID>.png, where every RR species ID gets
+ * the Moemon sprite linked to it (pokemon-moemon-links.json). The Radical Red
+ * Pokedex can then be pointed at the exported folder instead.
+ *
+ * The best Moemon for an ID is picked by link confidence, then canonical forms,
+ * then forms that are not duplicates of another one. RR forms that share a key
+ * and are not told apart by order (e.g. the four Pumpkaboo sizes, or genders RR
+ * lists twice) all get the canonical moemon form linked to them; the report
+ * lists the IDs it is shared with. Sprites that have no Moemon match fall back
+ * to the original RR sprite; every fallback is listed in the report with its reason.
+ *
+ * Usage: node export-rr-species.js [rr-mapping] [moemon-mapping] [links-file] [moemon-sprite-dir] [rr-sprite-dir] [output-dir]
+ * Default: node export-rr-species.js ./dex-to-rr-mapping.json ./dex-to-moemon-mapping-processed.json ./pokemon-moemon-links.json ./moemon-sprites-split ./Radical-Red-Pokedex-master/graphics/species ./moemon-species-export
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const rrMappingFile = args[0] || './dex-to-rr-mapping.json';
+const moemonMappingFile = args[1] || './dex-to-moemon-mapping-processed.json';
+const linksFile = args[2] || './pokemon-moemon-links.json';
+const moemonSpriteDir = args[3] || './moemon-sprites-split';
+const rrSpriteDir = args[4] || './Radical-Red-Pokedex-master/graphics/species';
+const outputDir = args[5] || './moemon-species-export';
+const reportFile = path.join(outputDir, 'export-report.json');
+
+const VARIANTS = ['front', 'front shiny', 'back', 'back shiny'];
+
+console.log('Radical Red Species Exporter\n');
+console.log('='.repeat(50));
+
+for (const file of [rrMappingFile, moemonMappingFile, linksFile]) {
+    if (!fs.existsSync(file)) {
+        console.error(`Error: File '${file}' not found`);
+        process.exit(1);
+    }
+}
+
+console.log(`Reading ${rrMappingFile}...`);
+const rrMapping = JSON.parse(fs.readFileSync(rrMappingFile, 'utf8'));
+console.log(`Reading ${moemonMappingFile}...`);
+const moemonMapping = JSON.parse(fs.readFileSync(moemonMappingFile, 'utf8'));
+console.log(`Reading ${linksFile}...`);
+const linkData = JSON.parse(fs.readFileSync(linksFile, 'utf8'));
+
+const moemonByFilename = new Map();
+for (const forms of Object.values(moemonMapping)) {
+    for (const form of forms) {
+        moemonByFilename.set(form.filename, form);
+    }
+}
+
+// Moemon filename -> RR IDs it is linked to, and RR ID -> key
+const idsByFilename = new Map();
+for (const link of linkData.links) {
+    for (const filename of link.moemon) {
+        if (!idsByFilename.has(filename)) idsByFilename.set(filename, []);
+        idsByFilename.get(filename).push(link.ID);
+    }
+}
+const keysByID = new Map();
+for (const forms of Object.values(rrMapping)) {
+    for (const form of forms) {
+        keysByID.set(form.ID, form.key);
+    }
+}
+
+// Other RR IDs with the same key that a moemon file is linked to as well
+function getSharedKeyIDs(id, filename) {
+    return idsByFilename.get(filename).filter(other => other !== id && keysByID.get(other) === keysByID.get(id));
+}
+
+// RR ID -> candidate moemon forms from the link table; sharedKeyIDs only have
+// non-canonical shared-key links
+const candidatesByID = new Map();
+const sharedKeyIDs = new Set();
+for (const link of linkData.links) {
+    for (const filename of link.moemon) {
+        const form = moemonByFilename.get(filename);
+        if (!form) continue;
+
+        // A file standing for several same-key forms is only used as the canonical form
+        const sharedWith = getSharedKeyIDs(link.ID, filename);
+        if (sharedWith.length > 0 && !form.isCanonical) {
+            sharedKeyIDs.add(link.ID);
+            continue;
+        }
+        if (!candidatesByID.has(link.ID)) candidatesByID.set(link.ID, []);
+        candidatesByID.get(link.ID).push({ form, reason: link.reason, confidence: link.confidence, sharedWith });
+    }
+}
+
+/**
+ * Order candidates: link confidence, canonical, not a duplicate, then filename
+ */
+function compareCandidates(a, b) {
+    return b.confidence - a.confidence ||
+        Number(b.form.isCanonical) - Number(a.form.isCanonical) ||
+        Number(!b.form.duplicateOf) - Number(!a.form.duplicateOf) ||
+        a.form.filename.localeCompare(b.form.filename);
+}
+
+/**
+ * Get every RR ID to export: the mapping's IDs plus any RR sprite not in it
+ */
+function getAllIDs() {
+    const ids = new Map();
+    for (const [dexID, forms] of Object.entries(rrMapping)) {
+        for (const form of forms) {
+            ids.set(form.ID, { dexID: parseInt(dexID), key: form.key });
+        }
+    }
+    for (const variant of VARIANTS) {
+        const folder = path.join(rrSpriteDir, variant);
+        if (!fs.existsSync(folder)) continue;
+        for (const file of fs.readdirSync(folder)) {
+            const id = parseInt(path.basename(file, '.png'));
+            if (file.endsWith('.png') && !isNaN(id) && !ids.has(id)) {
+                ids.set(id, { dexID: null, key: null });
+            }
+        }
+    }
+    return new Map(Array.from(ids).sort((a, b) => a[0] - b[0]));
+}
+
+// Create output directories
+for (const variant of VARIANTS) {
+    fs.mkdirSync(path.join(outputDir, variant), { recursive: true });
+}
+
+console.log('Exporting sprites...\n');
+const entries = {};
+const fallbacks = [];
+const stats = { moemon: 0, partial: 0, rr: 0, missing: 0 };
+
+for (const [id, info] of getAllIDs()) {
+    const candidates = (candidatesByID.get(id) || []).sort(compareCandidates);
+    const best = candidates[0] || null;
+    const entry = {
+        dexID: info.dexID,
+        key: info.key,
+        moemon: best ? best.form.filename : null,
+        name: best ? best.form.name : null,
+        reason: best ? best.reason : null,
+        confidence: best ? best.confidence : null,
+        sharedWith: best ? best.sharedWith : [],
+        variants: {}
+    };
+
+    for (const variant of VARIANTS) {
+        const target = path.join(outputDir, variant, `${id}.png`);
+        const moemonPath = best ? path.join(moemonSpriteDir, variant, best.form.filename) : null;
+        const rrPath = path.join(rrSpriteDir, variant, `${id}.png`);
+
+        if (moemonPath && fs.existsSync(moemonPath)) {
+            fs.copyFileSync(moemonPath, target);
+            entry.variants[variant] = 'moemon';
+            continue;
+        }
+
+        const why = !info.key ? 'not in RR mapping'
+            : !best && sharedKeyIDs.has(id) ? 'only non-canonical moemon forms are shared by RR forms with the same key'
+            : !best ? 'no linked moemon form'
+                : `moemon ${variant} sprite missing`;
+
+        if (fs.existsSync(rrPath)) {
+            fs.copyFileSync(rrPath, target);
+            entry.variants[variant] = 'rr';
+        } else {
+            entry.variants[variant] = 'missing';
+        }
+
+        // One fallback entry per ID and reason
+        let fallback = fallbacks.find(item => item.ID === id && item.reason === why);
+        if (!fallback) {
+            fallback = { ID: id, key: info.key, reason: why, rr: [], missing: [] };
+            fallbacks.push(fallback);
+        }
+        fallback[entry.variants[variant]].push(variant);
+    }
+
+    const sources = Object.values(entry.variants);
+    if (sources.every(source => source === 'moemon')) stats.moemon++;
+    else if (sources.includes('moemon')) stats.partial++;
+    else if (sources.includes('rr')) stats.rr++;
+    else stats.missing++;
+
+    entries[id] = entry;
+}
+
+const report = {
+    summary: stats,
+    fallbacks: fallbacks,
+    species: entries
+};
+
+console.log(`Writing to ${reportFile}...`);
+fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+
+// Print statistics
+console.log('\n' + '='.repeat(50));
+console.log('\n✓ Export complete!');
+console.log(`  Species IDs: ${Object.keys(entries).length}`);
+console.log(`    All Moemon sprites: ${stats.moemon}`);
+console.log(`    Partly RR fallback: ${stats.partial}`);
+console.log(`    All RR fallback: ${stats.rr}`);
+console.log(`    No sprite at all: ${stats.missing}`);
+console.log(`  Fallbacks: ${fallbacks.length}`);
+for (const fallback of fallbacks.slice(0, 10)) {
+    console.log(`    ${fallback.ID} ${fallback.key || '(unmapped)'}: ${fallback.reason}`);
+}
+if (fallbacks.length > 10) {
+    console.log(`    ... and ${fallbacks.length - 10} more (see report)`);
+}
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`\nSprites saved to: ${outputDir}`);
+console.log(`Report saved to: ${reportFile}`);
@@ -1,12 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Fill gaps in the moemon sprites from a newer sprite database
+ * Splits base, mega, regional and Unown sheets that the processed mapping has no form for
+ * 
+ * Usage: node fill-missing-moemon.js [sprite-database-dir] [split-dir] [mapping-file] [log-file]
+ * Default: node fill-missing-moemon.js "./moemon_sprite_april_25/Sprite Database" ./moemon-sprites-split ./dex-to-moemon-mapping-processed.json ./fill-missing-moemon-log.txt
+ */
+
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { detectSheetLayout } = require('./sprite-sheet-layout');
 
 // Paths
-const NEW_SPRITE_BASE = './moemon_sprite_april_25/Sprite Database';
-const SPLIT_OUTPUT = './moemon-sprites-split';
-const MAPPING_FILE = './dex-to-moemon-mapping-processed.json';
-const LOG_FILE = './fill-missing-moemon-log.txt';
+const args = process.argv.slice(2);
+const NEW_SPRITE_BASE = args[0] || './moemon_sprite_april_25/Sprite Database';
+const SPLIT_OUTPUT = args[1] || './moemon-sprites-split';
+const MAPPING_FILE = args[2] || './dex-to-moemon-mapping-processed.json';
+const LOG_FILE = args[3] || './fill-missing-moemon-log.txt';
 
 // Store findings
 const log = [];
@@ -267,22 +279,15 @@ function identifyGaps(existingMapping) {
     });
 }
 
-// Split sprite sheet (4-in-1 horizontal layout)
+// Split sprite sheet (layout detected per sheet: 4x1, 2x2 or 1x1, optionally padded)
 async function splitSpriteSheet(inputPath, dexID, key) {
     try {
         const fullPath = path.join(NEW_SPRITE_BASE, inputPath);
-        const image = sharp(fullPath);
-        const metadata = await image.metadata();
-        
-        const width = metadata.width;
-        const height = metadata.height;
-        const spriteWidth = Math.floor(width / 4);
-        
-        const types = ['front', 'front shiny', 'back', 'back shiny'];
+        const layout = await detectSheetLayout(fullPath);
         const outputs = [];
         
-        for (let i = 0; i < 4; i++) {
-            const outputDir = path.join(SPLIT_OUTPUT, types[i]);
+        for (const cell of layout.cells) {
+            const outputDir = path.join(SPLIT_OUTPUT, cell.variant);
             if (!fs.existsSync(outputDir)) {
                 fs.mkdirSync(outputDir, { recursive: true });
             }
@@ -292,22 +297,22 @@ async function splitSpriteSheet(inputPath, dexID, key) {
             
             // Check if file already exists
             if (fs.existsSync(outputPath)) {
-                logMsg(`    Skipped ${types[i]}/${outputFilename} (already exists)`);
-                processed.skipped.push(`${types[i]}/${outputFilename}`);
+                logMsg(`    Skipped ${cell.variant}/${outputFilename} (already exists)`);
+                processed.skipped.push(`${cell.variant}/${outputFilename}`);
                 continue;
             }
             
             await sharp(fullPath)
                 .extract({ 
-                    left: i * spriteWidth, 
-                    top: 0, 
-                    width: spriteWidth, 
-                    height: height 
+                    left: cell.left, 
+                    top: cell.top, 
+                    width: cell.width, 
+                    height: cell.height 
                 })
                 .toFile(outputPath);
             
-            outputs.push(`${types[i]}/${outputFilename}`);
-            processed.split.push(`${types[i]}/${outputFilename}`);
+            outputs.push(`${cell.variant}/${outputFilename}`);
+            processed.split.push(`${cell.variant}/${outputFilename}`);
         }
         
         return outputs;
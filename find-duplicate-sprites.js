@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Find duplicate Moemon sprites with perceptual hashes
+ * Every sprite set (one filename across front, front shiny, back, back shiny)
+ * gets a difference hash (dHash) per variant. Sets whose front hashes are close
+ * are then compared pixel by pixel, so palette swaps and small pattern changes
+ * (Arceus types, Magikarp patterns) are not mistaken for duplicates.
+ *
+ * Two sprite sets are:
+ *   exact  duplicates when all their variants have identical pixels
+ *   near   duplicates when every shared variant is within MAX_HASH_DISTANCE
+ *          bits of dHash and at most MAX_PIXEL_DIFFERENCE of its sprite pixels
+ *          differ
+ * Background pixels (transparent or the top-left color) are ignored, so a
+ * slightly different background color does not hide a duplicate.
+ *
+ * Clusters are found within and across dexIDs. process-moemon-mapping.js reads
+ * the output and marks redundant forms with duplicateOf.
+ *
+ * Usage: node find-duplicate-sprites.js [split-dir] [output-file]
+ * Default: node find-duplicate-sprites.js ./moemon-sprites-split ./moemon-duplicates.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const SPLIT_DIR = args[0] || './moemon-sprites-split';
+const OUTPUT_FILE = args[1] || './moemon-duplicates.json';
+
+const VARIANTS = ['front', 'front shiny', 'back', 'back shiny'];
+
+const MAX_HASH_DISTANCE = 6;
+const MAX_PIXEL_DIFFERENCE = 0.03;
+
+// Summed RGBA difference above which two pixels count as different
+const PIXEL_TOLERANCE = 48;
+
+/**
+ * Get the dexID a split filename belongs to, e.g. 25 for "0025(Cap)-1.png"
+ */
+function getDexID(filename) {
+    const match = filename.match(/^(\d+)/);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Load a sprite as RGBA with its background made transparent
+ */
+async function loadSprite(filePath) {
+    const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const background = data.readUInt32BE(0);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0 || data.readUInt32BE(i) === background) {
+            data.writeUInt32BE(0, i);
+        }
+    }
+    return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Hash one variant: exact pixel hash and 64-bit dHash
+ */
+async function hashVariant(filePath) {
+    const sprite = await loadSprite(filePath);
+    const raw = { raw: { width: sprite.width, height: sprite.height, channels: 4 } };
+
+    const exact = crypto.createHash('sha1')
+        .update(`${sprite.width}x${sprite.height}`)
+        .update(sprite.data)
+        .digest('hex');
+
+    // Composite on white so the outline is part of the hash
+    const gray = await sharp(sprite.data, raw)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    const dhash = [0, 0];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            if (gray[y * 9 + x] > gray[y * 9 + x + 1]) {
+                const bit = y * 8 + x;
+                dhash[bit >> 5] |= 1 << (bit & 31);
+            }
+        }
+    }
+
+    return { exact, dhash, sprite };
+}
+
+function popcount(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hashDistance(a, b) {
+    return popcount((a[0] ^ b[0]) >>> 0) + popcount((a[1] ^ b[1]) >>> 0);
+}
+
+/**
+ * Share of sprite (non-background) pixels that differ between two sprites
+ */
+function pixelDifference(a, b) {
+    if (a.width !== b.width || a.height !== b.height) return 1;
+
+    let union = 0;
+    let differing = 0;
+    for (let i = 0; i < a.data.length; i += 4) {
+        if (a.data[i + 3] === 0 && b.data[i + 3] === 0) continue;
+        union++;
+        let delta = 0;
+        for (let c = 0; c < 4; c++) {
+            delta += Math.abs(a.data[i + c] - b.data[i + c]);
+        }
+        if (delta > PIXEL_TOLERANCE) differing++;
+    }
+    return union === 0 ? 0 : differing / union;
+}
+
+/**
+ * Compare two sprite sets; returns { type, distance } or null
+ */
+function compareSets(a, b) {
+    const shared = VARIANTS.filter(variant => a.variants[variant] && b.variants[variant]);
+    if (shared.length === 0 || !shared.includes('front')) return null;
+
+    const sameVariants = VARIANTS.every(variant => Boolean(a.variants[variant]) === Boolean(b.variants[variant]));
+    if (sameVariants && shared.every(variant => a.variants[variant].exact === b.variants[variant].exact)) {
+        return { type: 'exact', distance: 0 };
+    }
+
+    // Cheap hash check on every variant before comparing pixels
+    let distance = 0;
+    for (const variant of shared) {
+        const bits = hashDistance(a.variants[variant].dhash, b.variants[variant].dhash);
+        if (bits > MAX_HASH_DISTANCE) return null;
+        distance = Math.max(distance, bits);
+    }
+
+    let difference = 0;
+    for (const variant of shared) {
+        difference = Math.max(difference, pixelDifference(a.variants[variant].sprite, b.variants[variant].sprite));
+        if (difference > MAX_PIXEL_DIFFERENCE) return null;
+    }
+    return { type: 'near', distance, difference: Math.round(difference * 1000) / 1000 };
+}
+
+/**
+ * Union-find over sprite set indices
+ */
+function createClusters(size) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    return {
+        find,
+        union: (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+        }
+    };
+}
+
+async function main() {
+    console.log('Moemon Duplicate Finder\n');
+    console.log('='.repeat(50));
+
+    const frontDir = path.join(SPLIT_DIR, 'front');
+    if (!fs.existsSync(frontDir)) {
+        console.error(`Error: Directory '${frontDir}' not found`);
+        process.exit(1);
+    }
+
+    // Hash every sprite set
+    const filenames = fs.readdirSync(frontDir).filter(file => file.endsWith('.png')).sort();
+    console.log(`Hashing ${filenames.length} sprite sets...`);
+
+    const sets = [];
+    for (const filename of filenames) {
+        const set = { filename, dexID: getDexID(filename), variants: {} };
+        for (const variant of VARIANTS) {
+            const filePath = path.join(SPLIT_DIR, variant, filename);
+            if (fs.existsSync(filePath)) {
+                set.variants[variant] = await hashVariant(filePath);
+            }
+        }
+        sets.push(set);
+
+        if (sets.length % 250 === 0) {
+            console.log(`  Hashed ${sets.length}/${filenames.length}...`);
+        }
+    }
+
+    // Compare every pair, remembering how each pair matched
+    console.log('Comparing sprite sets...');
+    const clusters = createClusters(sets.length);
+    const matches = [];
+    for (let i = 0; i < sets.length; i++) {
+        for (let j = i + 1; j < sets.length; j++) {
+            const match = compareSets(sets[i], sets[j]);
+            if (match) {
+                clusters.union(i, j);
+                matches.push({ a: i, b: j, ...match });
+            }
+        }
+    }
+
+    // Group into clusters
+    const groups = new Map();
+    for (let i = 0; i < sets.length; i++) {
+        const root = clusters.find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    }
+
+    const clusterList = [];
+    for (const [root, members] of groups) {
+        if (members.length < 2) continue;
+
+        const pairs = matches.filter(match => clusters.find(match.a) === root);
+        const dexIDs = Array.from(new Set(members.map(i => sets[i].dexID))).sort((a, b) => a - b);
+        clusterList.push({
+            type: pairs.every(pair => pair.type === 'exact') ? 'exact' : 'near',
+            crossDex: dexIDs.length > 1,
+            dexIDs: dexIDs,
+            files: members.map(i => sets[i].filename),
+            pairs: pairs.map(pair => ({
+                a: sets[pair.a].filename,
+                b: sets[pair.b].filename,
+                type: pair.type,
+                distance: pair.distance,
+                difference: pair.difference || 0
+            }))
+        });
+    }
+
+    clusterList.sort((a, b) => a.dexIDs[0] - b.dexIDs[0] || a.files[0].localeCompare(b.files[0]));
+
+    const output = {
+        thresholds: {
+            maxHashDistance: MAX_HASH_DISTANCE,
+            maxPixelDifference: MAX_PIXEL_DIFFERENCE
+        },
+        clusters: clusterList
+    };
+
+    console.log(`Writing to ${OUTPUT_FILE}...`);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2), 'utf8');
+
+    // Print statistics
+    const duplicateFiles = clusterList.reduce((sum, cluster) => sum + cluster.files.length - 1, 0);
+    console.log('\n' + '='.repeat(50));
+    console.log('\n✓ Duplicate search complete!');
+    console.log(`  Sprite sets: ${sets.length}`);
+    console.log(`  Clusters: ${clusterList.length}`);
+    console.log(`    exact: ${clusterList.filter(c => c.type === 'exact').length}`);
+    console.log(`    near: ${clusterList.filter(c => c.type === 'near').length}`);
+    console.log(`    across dexIDs: ${clusterList.filter(c => c.crossDex).length}`);
+    console.log(`  Redundant sprite sets: ${duplicateFiles}`);
+
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`\nDuplicate clusters saved to: ${OUTPUT_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
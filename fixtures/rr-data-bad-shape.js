@@ -0,0 +1,19 @@
+// data.js with a field in an unexpected shape (five base stats, abilities as names).
+// node map-dex-to-rr.js fixtures/rr-data-bad-shape.js <output> must stop with exit code 1
+// and "Error reading species data: Bulbasaur: expected stats to be an array of 6"
+{
+    types: {
+        4: { name: 'Grass' },
+        8: { name: 'Poison' }
+    },
+    abilities: {},
+    items: {},
+    species: {
+        1: {
+            ID: 1, key: 'Bulbasaur', name: 'Bulbasaur', dexID: 1, ancestor: 1,
+            type: [4, 8],
+            stats: [45, 49, 49, 65, 65],
+            abilities: ['Overgrow', 'Chlorophyll']
+        }
+    }
+}
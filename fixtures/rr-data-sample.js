@@ -0,0 +1,74 @@
+// A few entries in the shape map-dex-to-rr.js reads from Radical Red's data.js.
+// node map-dex-to-rr.js fixtures/rr-data-sample.js <output> must match rr-data-sample-mapping.json
+{
+    types: {
+        1: { name: 'Normal' },
+        2: { name: 'Fire' },
+        4: { name: 'Grass' },
+        5: { name: 'Electric' },
+        8: { name: 'Poison' },
+        10: { name: 'Flying' },
+        16: { name: 'Dragon' }
+    },
+    abilities: {
+        34: { name: 'Chlorophyll' },
+        50: { name: 'Run Away' },
+        65: { name: 'Overgrow' },
+        66: { name: 'Blaze' },
+        91: { name: 'Adaptability' },
+        94: { name: 'Solar Power' },
+        107: { name: 'Anticipation' },
+        181: { name: 'Tough Claws' },
+        9: { name: 'Static' },
+        31: { name: 'Lightning Rod' }
+    },
+    items: {
+        96: { name: 'Thunder Stone' }
+    },
+    species: {
+        1: {
+            ID: 1, key: 'Bulbasaur', name: 'Bulbasaur', dexID: 1, ancestor: 1,
+            type: [4, 8],
+            stats: [45, 49, 49, 65, 65, 45],
+            abilities: [65, 0, 34],
+            evolutions: [[4, 16, 2]],
+            spriteSize: [40, 40]
+        },
+        2: {
+            ID: 2, key: 'Ivysaur', name: 'Ivysaur', dexID: 2, ancestor: 1,
+            type: [4, 8],
+            stats: [60, 62, 63, 80, 80, 60],
+            abilities: [65, 0, 34],
+            evolutions: []
+        },
+        6: {
+            ID: 6, key: 'Charizard', name: 'Charizard', dexID: 6, ancestor: 4, order: 0,
+            type: [2, 10],
+            stats: [78, 84, 78, 109, 85, 100],
+            abilities: [66, 0, 94]
+        },
+        1120: {
+            ID: 1120, key: 'Charizard-Mega-X', name: 'Charizard', dexID: 6, ancestor: 4, order: 1,
+            type: [2, 16],
+            stats: [78, 130, 111, 130, 85, 100],
+            abilities: [181, 181, 0]
+        },
+        25: {
+            ID: 25, key: 'Pikachu', name: 'Pikachu', dexID: 25, ancestor: 172,
+            type: [5, 5],
+            stats: [35, 55, 40, 50, 50, 90],
+            abilities: [9, 0, 31],
+            evolutions: [[7, 96, 26]]
+        },
+        133: {
+            ID: 133, key: 'Eevee', name: 'Eevee', dexID: 133, ancestor: 133,
+            type: [1, 1],
+            stats: [55, 55, 50, 45, 65, 55],
+            abilities: [50, 91, 107],
+            evolutions: [[7, 96, 135], [2, 0, 196], [16, 0, 700]]
+        },
+        700: {
+            ID: 700, key: 'Sylveon', name: 'Sylveon', dexID: 700, ancestor: 133
+        }
+    }
+}
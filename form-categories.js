@@ -0,0 +1,46 @@
+/**
+ * Generations, regions and form categories
+ * Loaded with a plain <script> tag by index.html (search and grouping) and
+ * coverage.html (coverage tables), so both pages sort forms the same way.
+ * getFormParts reads the page's pokemonMapping global for the species names.
+ */
+
+const GENERATIONS = [
+    [1, 151], [152, 251], [252, 386], [387, 493], [494, 649],
+    [650, 721], [722, 809], [810, 905], [906, 1025]
+];
+const REGIONS = { alola: 'alola', alolan: 'alola', galar: 'galar', galarian: 'galar', hisui: 'hisui', hisuian: 'hisui', paldea: 'paldea', paldean: 'paldea' };
+const FORM_CATEGORIES = {
+    base: 'Base Forms',
+    mega: 'Mega & Primal Forms',
+    regional: 'Regional Forms',
+    gender: 'Gender Forms',
+    cosmetic: 'Cosmetic & Other Forms'
+};
+const GENDER_PARTS = ['male', 'female', 'fem', 'masc', '(fem)', '(masc)'];
+
+// Generation of a dexID (1-9), or null past the last generation
+function getGeneration(dexId) {
+    const index = GENERATIONS.findIndex(([low, high]) => dexId >= low && dexId <= high);
+    return index === -1 ? null : index + 1;
+}
+
+// Form name parts after the species name, without version suffixes: "Charizard-Mega-X-v1" -> ["mega", "x"]
+function getFormParts(type, form, dexId) {
+    const label = type === 'pokemon' ? form.key : form.name;
+    const species = pokemonMapping[dexId] && pokemonMapping[dexId][0] ? pokemonMapping[dexId][0].name : null;
+    const rest = species && label.toLowerCase().startsWith(species.toLowerCase())
+        ? label.slice(species.length)
+        : label.split('-').slice(1).join('-');
+    return rest.toLowerCase().split('-').filter(part => part && !/^v\d+$/.test(part));
+}
+
+// Sort a form into base, mega, regional, gender or cosmetic by its name parts
+function getFormCategory(type, form, dexId) {
+    const parts = getFormParts(type, form, dexId);
+    if (parts.length === 0) return 'base';
+    if (parts.includes('mega') || parts.includes('primal')) return 'mega';
+    if (parts.some(part => REGIONS[part])) return 'regional';
+    if (parts.some(part => GENDER_PARTS.includes(part))) return 'gender';
+    return 'cosmetic';
+}
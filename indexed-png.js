@@ -0,0 +1,101 @@
+/**
+ * Indexed PNG and JASC-PAL writers for GBA sprites
+ * sharp always picks its own palette order, so GBA exports that need a fixed
+ * index order (shared by the normal and shiny palette) are encoded here.
+ *
+ * Palettes are arrays of { r, g, b } with 8-bit channels. Index 0 is written as
+ * transparent (tRNS), matching the GBA convention.
+ *
+ * Usage: const { encodeIndexedPng, formatJascPalette } = require('./indexed-png');
+ *        fs.writeFileSync('front.png', encodeIndexedPng(64, 64, indices, palette));
+ *        fs.writeFileSync('normal.pal', formatJascPalette(palette));
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode palette indices (one per pixel, row by row) as a 4bpp indexed PNG
+ */
+function encodeIndexedPng(width, height, indices, palette) {
+    if (palette.length > 16) {
+        throw new Error(`4bpp PNGs hold 16 colors, got ${palette.length}`);
+    }
+    if (indices.length !== width * height) {
+        throw new Error(`Expected ${width * height} indices, got ${indices.length}`);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 4; // bit depth
+    header[9] = 3; // color type: indexed
+
+    // Always write all 16 entries so palette slots line up with the .pal file
+    const plte = Buffer.alloc(16 * 3);
+    palette.forEach((color, i) => {
+        plte[i * 3] = color.r;
+        plte[i * 3 + 1] = color.g;
+        plte[i * 3 + 2] = color.b;
+    });
+
+    // Two pixels per byte, each row prefixed with filter type 0
+    const rowBytes = Math.ceil(width / 2);
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowBytes + 1);
+        for (let x = 0; x < width; x++) {
+            const index = indices[y * width + x];
+            raw[rowStart + 1 + (x >> 1)] |= x % 2 === 0 ? index << 4 : index;
+        }
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('PLTE', plte),
+        createChunk('tRNS', Buffer.from([0])),
+        createChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Format a palette as a 16-color JASC-PAL file (unused slots are black)
+ */
+function formatJascPalette(palette) {
+    const lines = ['JASC-PAL', '0100', '16'];
+    for (let i = 0; i < 16; i++) {
+        const color = palette[i] || { r: 0, g: 0, b: 0 };
+        lines.push(`${color.r} ${color.g} ${color.b}`);
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { encodeIndexedPng, formatJascPalette };
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Link Radical Red forms to Moemon forms
+ * Compares the form part of each RR key (e.g. "-Mega-X" in "Charizard-Mega-X")
+ * with the form part of each processed moemon name, within the same dexID,
+ * and writes an explicit link table for the viewer.
+ *
+ * Each link pairs one RR ID with moemon filenames, a match reason and a confidence:
+ *   override        1.0   rrID set by hand in moemon-overrides.json
+ *   same-form       1.0   identical form, e.g. Charizard-Mega-X
+ *   gender          0.9   female/male moemon paired with the RR -F / base form
+ *   version         0.9   non-canonical -vN version of the same form
+ *   alias           0.8   form spelled differently, e.g. Arceus-Fight -> Arceus-Fighting
+ *   gender-variant  0.7   gendered moemon of a form that RR does not split by gender
+ *   partial-form    0.5   moemon form is a prefix of several RR forms, e.g. Tauros-Paldea
+ * RR keeps some forms under one key and tells them apart by order only (Unown,
+ * Burmy, Shellos, the Deerling seasons); ordered-forms.js maps those orders to
+ * moemon form tokens.
+ * Confidence is halved when several RR forms share the same key otherwise (e.g. Pumpkaboo).
+ * A form whose override rrID is not an RR form of its dexID is warned about and
+ * listed as unmatched with that reason.
+ *
+ * Usage: node link-moemon-forms.js [rr-mapping] [moemon-mapping] [output-file]
+ * Default: node link-moemon-forms.js ./dex-to-rr-mapping.json ./dex-to-moemon-mapping-processed.json ./pokemon-moemon-links.json
+ */
+
+const fs = require('fs');
+const { isOrderedKey, getFormOrder } = require('./ordered-forms');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const rrMappingFile = args[0] || './dex-to-rr-mapping.json';
+const moemonMappingFile = args[1] || './dex-to-moemon-mapping-processed.json';
+const outputFile = args[2] || './pokemon-moemon-links.json';
+
+const CONFIDENCE = {
+    'override': 1,
+    'same-form': 1,
+    'gender': 0.9,
+    'version': 0.9,
+    'alias': 0.8,
+    'gender-variant': 0.7,
+    'partial-form': 0.5
+};
+
+// Moemon form tokens spelled differently from RR ('' means the base form)
+const FORM_ALIASES = {
+    fight: 'fighting',
+    fly: 'flying',
+    gulp: 'gulping',
+    gorge: 'gorging',
+    normal: '',
+    day: '',
+    plant: ''
+};
+
+const GENDER_TOKENS = {
+    fem: 'female',
+    female: 'female',
+    masc: 'male',
+    male: 'male'
+};
+
+console.log('Pokemon <-> Moemon Form Linker\n');
+console.log('='.repeat(50));
+
+for (const file of [rrMappingFile, moemonMappingFile]) {
+    if (!fs.existsSync(file)) {
+        console.error(`Error: File '${file}' not found`);
+        process.exit(1);
+    }
+}
+
+console.log(`Reading ${rrMappingFile}...`);
+const rrMapping = JSON.parse(fs.readFileSync(rrMappingFile, 'utf8'));
+console.log(`Reading ${moemonMappingFile}...`);
+const moemonMapping = JSON.parse(fs.readFileSync(moemonMappingFile, 'utf8'));
+
+/**
+ * Split a form suffix like "-Galar-(Zen)-" into lowercase tokens
+ */
+function tokenize(suffix) {
+    return suffix.toLowerCase().replace(/[()]/g, '').split('-').filter(Boolean);
+}
+
+/**
+ * Get the form tokens of an RR entry, relative to its species name
+ */
+function getRRTokens(form) {
+    // Keys like "Nidoran-F" (name "Nidoran♀") don't start with the name: treat as base
+    return form.key.startsWith(form.name) ? tokenize(form.key.slice(form.name.length)) : [];
+}
+
+/**
+ * Get the form tokens, version, gender and alias use of a processed moemon form
+ */
+function parseMoemonForm(form, baseName) {
+    let tokens = form.name.startsWith(baseName) ? tokenize(form.name.slice(baseName.length)) : [];
+    let version = null;
+    let gender = null;
+    let aliased = false;
+
+    // Trailing -vN marks a non-canonical version
+    const last = tokens[tokens.length - 1];
+    if (last && /^v\d+$/.test(last)) {
+        version = parseInt(last.slice(1));
+        tokens = tokens.slice(0, -1);
+    }
+
+    // Gender can be in the name (-Male) or only in the key ((Fem)-2 is canonical, unsuffixed)
+    const keyGender = form.key.match(/\((fem|masc)\)/i);
+    if (keyGender) {
+        gender = GENDER_TOKENS[keyGender[1].toLowerCase()];
+    }
+    tokens = tokens.filter(token => {
+        if (GENDER_TOKENS[token]) {
+            gender = GENDER_TOKENS[token];
+            return false;
+        }
+        return true;
+    });
+
+    tokens = tokens.map(token => {
+        if (token in FORM_ALIASES) {
+            aliased = true;
+            return FORM_ALIASES[token];
+        }
+        return token;
+    }).filter(Boolean);
+
+    return { tokens, version, gender, aliased };
+}
+
+/**
+ * Match a moemon form to the one RR form of an ordered key whose order has its token
+ */
+function matchOrderedForm(parsed, key, rrForms) {
+    const ordered = rrForms.filter(form => isOrderedKey(form.key) && form.tokens.length === 0);
+    if (ordered.length < 2) return null;
+
+    const order = getFormOrder(ordered[0].key, key);
+    const form = ordered.find(rrForm => rrForm.order === order);
+    if (!form) return null;
+
+    let reason = 'same-form';
+    if (parsed.version !== null) reason = 'version';
+    else if (parsed.aliased) reason = 'alias';
+    return { reason, forms: [form] };
+}
+
+/**
+ * Find the RR forms a moemon form corresponds to
+ */
+function matchMoemonForm(parsed, rrForms) {
+    const key = parsed.tokens.join('-');
+    const byKey = form => form.tokens.join('-');
+
+    const ordered = matchOrderedForm(parsed, key, rrForms);
+    if (ordered) return ordered;
+
+    // Gendered species: RR base is male, RR "-F" is female
+    const hasFemaleForm = rrForms.some(form => byKey(form) === (key ? `${key}-f` : 'f'));
+    if (parsed.gender && hasFemaleForm) {
+        const wanted = parsed.gender === 'female' ? (key ? `${key}-f` : 'f') : key;
+        return { reason: 'gender', forms: rrForms.filter(form => byKey(form) === wanted) };
+    }
+
+    const exact = rrForms.filter(form => byKey(form) === key);
+    if (exact.length > 0) {
+        let reason = 'same-form';
+        if (parsed.gender === 'male') reason = 'gender-variant';
+        else if (parsed.version !== null) reason = 'version';
+        else if (parsed.aliased) reason = 'alias';
+        return { reason, forms: exact };
+    }
+
+    if (parsed.tokens.length > 0) {
+        const partial = rrForms.filter(form => byKey(form).startsWith(`${key}-`));
+        if (partial.length > 0) {
+            return { reason: 'partial-form', forms: partial };
+        }
+    }
+
+    return { reason: null, forms: [] };
+}
+
+// Build links dexID by dexID
+console.log('Linking forms...\n');
+const linkGroups = new Map();
+const unmatchedMoemon = [];
+const linkedIDs = new Set();
+
+const allDexIds = new Set([...Object.keys(rrMapping), ...Object.keys(moemonMapping)]);
+const sortedDexIds = Array.from(allDexIds).map(Number).sort((a, b) => a - b);
+
+for (const dexID of sortedDexIds) {
+    const rrForms = (rrMapping[dexID] || []).map(form => ({ ...form, tokens: getRRTokens(form) }));
+    const moemonForms = moemonMapping[dexID] || [];
+    const baseName = rrForms.length > 0 ? rrForms[0].name : `Dex-${dexID}`;
+
+    for (const form of moemonForms) {
+        // A bad override is reported, not quietly replaced by name matching
+        if (form.rrID !== undefined && !rrForms.some(rrForm => rrForm.ID === form.rrID)) {
+            const reason = `override rrID ${form.rrID} is not a form of dexID ${dexID}`;
+            console.warn(`⚠ ${form.filename}: ${reason}`);
+            unmatchedMoemon.push({ dexID: dexID, filename: form.filename, name: form.name, reason: reason });
+            continue;
+        }
+
+        const match = form.rrID !== undefined
+            ? { reason: 'override', forms: rrForms.filter(rrForm => rrForm.ID === form.rrID) }
+            : matchMoemonForm(parseMoemonForm(form, baseName), rrForms);
+
+        if (match.forms.length === 0) {
+            unmatchedMoemon.push({ dexID: dexID, filename: form.filename, name: form.name });
+            continue;
+        }
+
+        // Several RR forms with an identical key can't be told apart
+        const sameKey = match.reason !== 'partial-form' && match.forms.length > 1;
+        const confidence = sameKey ? CONFIDENCE[match.reason] / 2 : CONFIDENCE[match.reason];
+
+        for (const rrForm of match.forms) {
+            const groupKey = `${rrForm.ID}|${match.reason}|${confidence}`;
+            if (!linkGroups.has(groupKey)) {
+                linkGroups.set(groupKey, {
+                    dexID: dexID,
+                    ID: rrForm.ID,
+                    key: rrForm.key,
+                    moemon: [],
+                    reason: match.reason,
+                    confidence: confidence
+                });
+            }
+            linkGroups.get(groupKey).moemon.push(form.filename);
+            linkedIDs.add(rrForm.ID);
+        }
+    }
+}
+
+const links = Array.from(linkGroups.values()).sort((a, b) =>
+    a.dexID - b.dexID || a.ID - b.ID || b.confidence - a.confidence || a.reason.localeCompare(b.reason)
+);
+
+const unmatchedPokemon = [];
+for (const dexID of sortedDexIds) {
+    for (const form of rrMapping[dexID] || []) {
+        if (!linkedIDs.has(form.ID)) {
+            unmatchedPokemon.push({ dexID: dexID, ID: form.ID, key: form.key });
+        }
+    }
+}
+
+const output = {
+    links: links,
+    unmatched: {
+        pokemon: unmatchedPokemon,
+        moemon: unmatchedMoemon
+    }
+};
+
+console.log(`Writing to ${outputFile}...`);
+fs.writeFileSync(outputFile, JSON.stringify(output, null, 2), 'utf8');
+
+// Print statistics
+const reasonCounts = {};
+for (const link of links) {
+    reasonCounts[link.reason] = (reasonCounts[link.reason] || 0) + link.moemon.length;
+}
+
+console.log('\n' + '='.repeat(50));
+console.log('\n✓ Links created successfully!');
+console.log(`  Links: ${links.length}`);
+for (const reason of Object.keys(CONFIDENCE)) {
+    console.log(`    ${reason}: ${reasonCounts[reason] || 0} moemon files`);
+}
+console.log(`  Unmatched Pokemon forms: ${unmatchedPokemon.length}`);
+console.log(`  Unmatched Moemon forms: ${unmatchedMoemon.length}`);
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`\nLink table saved to: ${outputFile}`);
@@ -2,7 +2,17 @@
 
 /**
  * Map Pokedex ID (dexID) to Radical Red IDs
- * Extracts ID, key, order, ancestor, and name for each entry
+ * Extracts ID, key, order, ancestor, and name for each entry, plus the species
+ * data the viewer shows and filters on:
+ *   types        ["Grass", "Poison"]
+ *   stats        { hp, atk, def, spa, spd, spe }
+ *   abilities    ["Overgrow", "Chlorophyll"], hiddenAbility: "..."
+ *   evolutions   [{ method: "level", param: 16, into: 2 }] (into = RR ID)
+ *   spriteSize   [width, height]
+ * Type, ability and item IDs are resolved to names through the types,
+ * abilities and items tables of data.js. Fields an entry doesn't have are left
+ * out; a field in any other shape than extractSpeciesData documents is an error,
+ * so the mapping never holds half-read species data.
  * 
  * Usage: node map-dex-to-rr.js [input-file] [output-file]
  * Default: node map-dex-to-rr.js ./Radical-Red-Pokedex-master/data.js ./dex-to-rr-mapping.json
@@ -17,6 +27,29 @@ const args = process.argv.slice(2);
 const inputFile = args[0] || './Radical-Red-Pokedex-master/data.js';
 const outputFile = args[1] || './dex-to-rr-mapping.json';
 
+// Order of the base stats in a data.js stats array
+const STAT_NAMES = ['hp', 'atk', 'def', 'spa', 'spd', 'spe'];
+
+// Gen 3 evolution methods (EVO_* in pokefirered's constants/pokemon.h); others become "method-N"
+const EVOLUTION_METHODS = {
+    1: 'friendship',
+    2: 'friendship-day',
+    3: 'friendship-night',
+    4: 'level',
+    5: 'trade',
+    6: 'trade-item',
+    7: 'item',
+    8: 'level-atk-gt-def',
+    9: 'level-atk-eq-def',
+    10: 'level-atk-lt-def',
+    11: 'level-silcoon',
+    12: 'level-cascoon',
+    13: 'level-ninjask',
+    14: 'level-shedinja',
+    15: 'beauty'
+};
+const ITEM_METHODS = ['item', 'trade-item'];
+
 // Check if input file exists
 if (!fs.existsSync(inputFile)) {
     console.error(`Error: File '${inputFile}' not found`);
@@ -47,6 +80,72 @@ if (!data || !data.species) {
 
 const species = data.species;
 
+/**
+ * Resolve a type, ability or item ID through its data.js table ({ id: { name } }); 0 means "none"
+ */
+function lookupName(table, id, entry, field) {
+    if (id === 0) return null;
+    if (!table || !table[id] || typeof table[id].name !== 'string') {
+        throw new Error(`${entry.key}: unknown ${field} ID ${JSON.stringify(id)}`);
+    }
+    return table[id].name;
+}
+
+function expectArray(value, length, entry, field) {
+    if (!Array.isArray(value) || (length !== null && value.length !== length)) {
+        throw new Error(`${entry.key}: expected ${field} to be an array${length !== null ? ` of ${length}` : ''}, got ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+/**
+ * Collect the species data of one entry. data.js stores
+ *   type        [typeID, typeID] (mono-types repeat their type)
+ *   stats       [hp, atk, def, spa, spd, spe]
+ *   abilities   [abilityID, abilityID, hiddenAbilityID] (0 = none)
+ *   evolutions  [[method, param, targetID], ...]
+ *   spriteSize  [width, height]
+ * Fields an entry doesn't have stay out; any other shape stops the script
+ */
+function extractSpeciesData(entry) {
+    const speciesData = {};
+
+    if (entry.type !== undefined) {
+        const types = expectArray(entry.type, 2, entry, 'type').map(id => lookupName(data.types, id, entry, 'type'));
+        speciesData.types = Array.from(new Set(types.filter(Boolean)));
+    }
+
+    if (entry.stats !== undefined) {
+        const stats = expectArray(entry.stats, STAT_NAMES.length, entry, 'stats');
+        speciesData.stats = Object.fromEntries(STAT_NAMES.map((stat, i) => [stat, stats[i]]));
+    }
+
+    if (entry.abilities !== undefined) {
+        const slots = expectArray(entry.abilities, 3, entry, 'abilities').map(id => lookupName(data.abilities, id, entry, 'ability'));
+        const abilities = Array.from(new Set(slots.slice(0, 2).filter(Boolean)));
+        if (abilities.length > 0) speciesData.abilities = abilities;
+        if (slots[2]) speciesData.hiddenAbility = slots[2];
+    }
+
+    if (entry.evolutions !== undefined && expectArray(entry.evolutions, null, entry, 'evolutions').length > 0) {
+        speciesData.evolutions = entry.evolutions.map(evolution => {
+            const [method, param, target] = expectArray(evolution, 3, entry, 'evolution');
+            const methodName = EVOLUTION_METHODS[method] || `method-${method}`;
+            return {
+                method: methodName,
+                param: ITEM_METHODS.includes(methodName) ? lookupName(data.items, param, entry, 'item') : param,
+                into: target
+            };
+        });
+    }
+
+    if (entry.spriteSize !== undefined) {
+        speciesData.spriteSize = expectArray(entry.spriteSize, 2, entry, 'spriteSize');
+    }
+
+    return speciesData;
+}
+
 // Create the mapping: dexID -> array of entries
 console.log('Creating dexID to RR ID mapping...');
 const dexMapping = {};
@@ -54,6 +153,14 @@ const dexMapping = {};
 for (const rrId in species) {
     const entry = species[rrId];
     
+    let speciesData;
+    try {
+        speciesData = extractSpeciesData(entry);
+    } catch (err) {
+        console.error('Error reading species data:', err.message);
+        process.exit(1);
+    }
+    
     // Extract required fields
     const dexID = entry.dexID;
     const mappedEntry = {
@@ -61,7 +168,8 @@ for (const rrId in species) {
         key: entry.key,
         order: entry.order !== undefined ? entry.order : null,
         ancestor: entry.ancestor,
-        name: entry.name
+        name: entry.name,
+        ...speciesData
     };
     
     // Initialize array for this dexID if it doesn't exist
@@ -114,6 +222,10 @@ console.log('\n✓ Mapping created successfully!');
 console.log(`  Total Pokedex entries: ${totalDexEntries}`);
 console.log(`  Total Radical Red entries: ${totalRREntries}`);
 console.log(`  Pokedex entries with multiple forms: ${multiFormDex}`);
+const allEntries = Object.values(sortedMapping).flat();
+for (const field of ['types', 'stats', 'abilities', 'evolutions', 'spriteSize']) {
+    console.log(`  Entries with ${field}: ${allEntries.filter(entry => entry[field]).length}`);
+}
 
 // Print some examples
 console.log('\nExample mappings:');
@@ -123,7 +235,8 @@ for (const dexID of exampleDexIds) {
         console.log(`\n  DexID ${dexID} (${sortedMapping[dexID][0].name}):`);
         for (const entry of sortedMapping[dexID]) {
             const orderStr = entry.order !== null ? `order: ${entry.order}` : 'no order';
-            console.log(`    - ID ${entry.ID}: ${entry.key} (${orderStr}, ancestor: ${entry.ancestor})`);
+            const typeStr = entry.types ? `, ${entry.types.join('/')}` : '';
+            console.log(`    - ID ${entry.ID}: ${entry.key} (${orderStr}, ancestor: ${entry.ancestor}${typeStr})`);
         }
     }
 }
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Normalize split Moemon sprites onto a fixed canvas
+ * Trims the empty border of every sprite and places it bottom-center on a
+ * canvas of fixed size, so front and back sprites line up like the Radical Red
+ * ones. Sprites larger than the canvas are scaled down (nearest neighbour).
+ *
+ * Empty pixels are fully transparent ones or the sprite's background color
+ * (its top-left pixel); the new canvas is filled with that same background.
+ *
+ * --offset x,y moves the sprite right by x and up by y from the bottom-center
+ * position. The report lists the original size and bounding box of every file.
+ *
+ * Usage: node normalize-moemon-sprites.js [input-dir] [output-dir] [--canvas WxH] [--offset x,y] [--report <file>]
+ * Default: node normalize-moemon-sprites.js ./moemon-sprites-split ./moemon-sprites-normalized --canvas 64x64 --offset 0,0 --report ./moemon-normalize-report.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const VARIANTS = ['front', 'front shiny', 'back', 'back shiny'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        inputDir: './moemon-sprites-split',
+        outputDir: './moemon-sprites-normalized',
+        canvas: { width: 64, height: 64 },
+        offset: { x: 0, y: 0 },
+        report: './moemon-normalize-report.json'
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--canvas') {
+            const match = /^(\d+)x(\d+)$/.exec(argv[++i] || '');
+            if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+                throw new Error('--canvas needs a size like 64x64');
+            }
+            options.canvas = { width: Number(match[1]), height: Number(match[2]) };
+        } else if (arg === '--offset') {
+            const match = /^(-?\d+),(-?\d+)$/.exec(argv[++i] || '');
+            if (!match) {
+                throw new Error('--offset needs two integers like 0,2');
+            }
+            options.offset = { x: Number(match[1]), y: Number(match[2]) };
+        } else if (arg === '--report') {
+            options.report = argv[++i];
+            if (!options.report) {
+                throw new Error('--report needs a file');
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option '${arg}'`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (positional[0]) options.inputDir = positional[0];
+    if (positional[1]) options.outputDir = positional[1];
+    if (path.resolve(options.inputDir) === path.resolve(options.outputDir)) {
+        throw new Error('Output directory must differ from the input directory');
+    }
+
+    return options;
+}
+
+/**
+ * Find the bounding box of the non-empty pixels, or null for an empty sprite
+ */
+function getBoundingBox(image) {
+    const { data, width, height } = image;
+    const background = data.readUInt32BE(0);
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            if (data[offset + 3] === 0 || data.readUInt32BE(offset) === background) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+        }
+    }
+
+    if (right === -1) return null;
+    return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Place the bounding box of a sprite on a new canvas
+ * Returns the raw canvas and where the sprite ended up
+ */
+function placeSprite(image, bbox, canvas, offset) {
+    const output = Buffer.alloc(canvas.width * canvas.height * 4);
+    const background = image.data.readUInt32BE(0);
+    for (let i = 0; i < output.length; i += 4) {
+        output.writeUInt32BE(background, i);
+    }
+
+    if (!bbox) {
+        return { data: output, placed: null, scale: 1 };
+    }
+
+    // Scale down to fit, never up
+    const scale = Math.min(1, canvas.width / bbox.width, canvas.height / bbox.height);
+    const width = Math.max(1, Math.floor(bbox.width * scale));
+    const height = Math.max(1, Math.floor(bbox.height * scale));
+
+    // Bottom-center, then offset, kept inside the canvas
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+    const left = clamp(Math.floor((canvas.width - width) / 2) + offset.x, canvas.width - width);
+    const top = clamp(canvas.height - height - offset.y, canvas.height - height);
+
+    for (let y = 0; y < height; y++) {
+        const sourceY = bbox.top + Math.floor(y * bbox.height / height);
+        for (let x = 0; x < width; x++) {
+            const sourceX = bbox.left + Math.floor(x * bbox.width / width);
+            const source = (sourceY * image.width + sourceX) * 4;
+            const target = ((top + y) * canvas.width + left + x) * 4;
+            image.data.copy(output, target, source, source + 4);
+        }
+    }
+
+    return { data: output, placed: { left, top, width, height }, scale };
+}
+
+/**
+ * Describe what normalization did to a sprite
+ */
+function getStatus(image, bbox, placed, canvas) {
+    if (!bbox) return 'empty';
+    if (placed.width !== bbox.width || placed.height !== bbox.height) return 'resized';
+    if (image.width === canvas.width && image.height === canvas.height &&
+        placed.left === bbox.left && placed.top === bbox.top) {
+        return 'unchanged';
+    }
+    return 'moved';
+}
+
+async function normalizeSprite(inputPath, outputPath, options) {
+    const { data, info } = await sharp(inputPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const image = { data: data, width: info.width, height: info.height };
+
+    const bbox = getBoundingBox(image);
+    const result = placeSprite(image, bbox, options.canvas, options.offset);
+
+    await sharp(result.data, { raw: { width: options.canvas.width, height: options.canvas.height, channels: 4 } })
+        .png()
+        .toFile(outputPath);
+
+    return {
+        original: { width: image.width, height: image.height },
+        bbox: bbox,
+        placed: result.placed,
+        scale: Math.round(result.scale * 1000) / 1000,
+        status: getStatus(image, bbox, result.placed, options.canvas)
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error('Usage: node normalize-moemon-sprites.js [input-dir] [output-dir] [--canvas WxH] [--offset x,y] [--report <file>]');
+        process.exit(1);
+    }
+
+    console.log('Moemon Sprite Normalizer\n');
+    console.log('='.repeat(50));
+
+    if (!fs.existsSync(options.inputDir)) {
+        console.error(`Error: Input directory not found: ${options.inputDir}`);
+        process.exit(1);
+    }
+
+    console.log(`Canvas: ${options.canvas.width}x${options.canvas.height}, offset: ${options.offset.x},${options.offset.y}`);
+
+    const files = {};
+    const counts = { unchanged: 0, moved: 0, resized: 0, empty: 0 };
+    const errors = [];
+
+    for (const variant of VARIANTS) {
+        const inputFolder = path.join(options.inputDir, variant);
+        if (!fs.existsSync(inputFolder)) {
+            console.log(`  Skipped ${variant}/ (not found)`);
+            continue;
+        }
+
+        const outputFolder = path.join(options.outputDir, variant);
+        fs.mkdirSync(outputFolder, { recursive: true });
+
+        const filenames = fs.readdirSync(inputFolder).filter(file => file.endsWith('.png')).sort();
+        console.log(`  ${variant}: ${filenames.length} sprites`);
+
+        for (const filename of filenames) {
+            const relPath = `${variant}/${filename}`;
+            try {
+                const entry = await normalizeSprite(path.join(inputFolder, filename), path.join(outputFolder, filename), options);
+                files[relPath] = entry;
+                counts[entry.status]++;
+            } catch (error) {
+                errors.push({ file: relPath, error: error.message });
+                console.error(`Error processing ${relPath}: ${error.message}`);
+            }
+        }
+    }
+
+    const report = {
+        canvas: options.canvas,
+        offset: options.offset,
+        files: files
+    };
+
+    fs.mkdirSync(path.dirname(path.resolve(options.report)), { recursive: true });
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2), 'utf8');
+
+    // Print results
+    console.log('\n' + '='.repeat(50));
+    console.log('\nNormalization complete!\n');
+    console.log(`✓ Unchanged: ${counts.unchanged}`);
+    console.log(`  Moved: ${counts.moved}`);
+    console.log(`  Resized: ${counts.resized}`);
+    console.log(`⚠ Empty: ${counts.empty}`);
+    console.log(`✗ Failed: ${errors.length}`);
+
+    if (errors.length > 0) {
+        console.log('\nErrors encountered:');
+        for (const err of errors) {
+            console.log(`\n  File: ${err.file}`);
+            console.log(`  Error: ${err.error}`);
+        }
+    }
+
+    console.log(`\nNormalized sprites saved to: ${options.outputDir}`);
+    console.log(`Report saved to: ${options.report}`);
+
+    if (errors.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
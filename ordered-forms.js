@@ -0,0 +1,54 @@
+/**
+ * Forms Radical Red keeps under one key
+ * RR lists Unown's letters, Burmy's cloaks, the Shellos/Gastrodon seas and the
+ * Deerling/Sawsbuck seasons as several IDs with the same key, told apart only
+ * by `order`. ORDERED_FORMS gives the moemon form token of every order; order 0
+ * is also the unsuffixed (canonical) moemon form. An order may accept several
+ * spellings, e.g. the second West Sea Shellos is named "Shellos-W".
+ *
+ * Shared by link-moemon-forms.js (to link them) and validate-mappings.js (to
+ * check the links), so both read the same table.
+ *
+ * Usage: const { getFormOrder, getOrderTokens } = require('./ordered-forms');
+ *        getFormOrder('Burmy', 'sandy'); // 1, or -1 for an unknown token
+ *        getOrderTokens('Shellos', 0);   // ['west', 'w']
+ */
+
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+const SEAS = [['west', 'w'], 'east'];
+
+// RR key -> moemon form token(s) for each RR order
+const ORDERED_FORMS = {
+    Unown: [...'abcdefghijklmnopqrstuvwxyz', 'exclamation', 'question'],
+    Burmy: ['plant', 'sandy', 'trash'],
+    Shellos: SEAS,
+    Gastrodon: SEAS,
+    Deerling: SEASONS,
+    Sawsbuck: SEASONS
+};
+
+/**
+ * Check whether RR tells the forms of a key apart by order only
+ */
+function isOrderedKey(key) {
+    return Object.prototype.hasOwnProperty.call(ORDERED_FORMS, key);
+}
+
+/**
+ * Get the moemon form tokens of an RR key's order ([] if it has none)
+ */
+function getOrderTokens(key, order) {
+    const tokens = isOrderedKey(key) ? ORDERED_FORMS[key][order] : undefined;
+    return tokens === undefined ? [] : [].concat(tokens);
+}
+
+/**
+ * Get the RR order of a moemon form token ('' is the base form, order 0), or -1
+ */
+function getFormOrder(key, token) {
+    if (!isOrderedKey(key)) return -1;
+    if (token === '') return 0;
+    return ORDERED_FORMS[key].findIndex(tokens => [].concat(tokens).includes(token));
+}
+
+module.exports = { ORDERED_FORMS, isOrderedKey, getOrderTokens, getFormOrder };
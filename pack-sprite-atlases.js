@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Pack the viewer's sprites into texture atlases
+ * Loading every sprite as its own file costs thousands of requests on a first
+ * visit, so the sprites shown in the dex list are packed into one atlas per
+ * source (pokemon/moemon), variant and range of DEX_PER_ATLAS dexIDs:
+ *   <output-dir>/moemon/front/0001-0100.png
+ *   <output-dir>/pokemon/back-shiny/0101-0200.png
+ *
+ * <output-dir>/atlas-index.json maps every sprite to its frame, keyed the way
+ * index.html looks sprites up (RR ID or moemon filename):
+ *   { "version": 1, "atlases": [{ "file", "width", "height" }],
+ *     "frames": { "moemon": { "front": { "0001-1.png": [atlas, x, y, w, h] } } } }
+ * The index is written without indentation since the viewer downloads it.
+ *
+ * Sprites are copied pixel for pixel, shelf-packed into rows of ATLAS_WIDTH in
+ * key order, so the atlases only change when sprites are added, removed or edited.
+ *
+ * Usage: node pack-sprite-atlases.js [rr-mapping] [moemon-mapping] [rr-sprite-dir] [moemon-sprite-dir] [output-dir]
+ * Default: node pack-sprite-atlases.js ./dex-to-rr-mapping.json ./dex-to-moemon-mapping-processed.json ./Radical-Red-Pokedex-master/graphics/species ./moemon-sprites-split ./sprite-atlases
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const RR_MAPPING_FILE = args[0] || './dex-to-rr-mapping.json';
+const MOEMON_MAPPING_FILE = args[1] || './dex-to-moemon-mapping-processed.json';
+const RR_SPRITE_DIR = args[2] || './Radical-Red-Pokedex-master/graphics/species';
+const MOEMON_SPRITE_DIR = args[3] || './moemon-sprites-split';
+const OUTPUT_DIR = args[4] || './sprite-atlases';
+const INDEX_FILE = path.join(OUTPUT_DIR, 'atlas-index.json');
+
+const DEX_PER_ATLAS = 100;
+const ATLAS_WIDTH = 1024;
+
+// Viewer sprite type -> sprite folder
+const VARIANTS = {
+    'front': 'front',
+    'front-shiny': 'front shiny',
+    'back': 'back',
+    'back-shiny': 'back shiny'
+};
+
+/**
+ * Get the atlas range name of a dexID, e.g. "0101-0200" for 150
+ */
+function getRangeName(dexID) {
+    const start = Math.floor((dexID - 1) / DEX_PER_ATLAS) * DEX_PER_ATLAS + 1;
+    const pad = value => String(value).padStart(4, '0');
+    return `${pad(start)}-${pad(start + DEX_PER_ATLAS - 1)}`;
+}
+
+/**
+ * List the sprites of each source by dex range: [{ key, dexID }]
+ */
+function collectSprites(rrMapping, moemonMapping) {
+    const groups = { pokemon: new Map(), moemon: new Map() };
+    const add = (source, dexID, key) => {
+        const range = getRangeName(dexID);
+        if (!groups[source].has(range)) groups[source].set(range, []);
+        groups[source].get(range).push({ key: String(key), dexID: dexID });
+    };
+
+    const dexIDs = mapping => Object.keys(mapping).map(Number).sort((a, b) => a - b);
+    for (const dexID of dexIDs(rrMapping)) {
+        for (const form of rrMapping[dexID]) add('pokemon', dexID, form.ID);
+    }
+    for (const dexID of dexIDs(moemonMapping)) {
+        for (const form of moemonMapping[dexID]) add('moemon', dexID, form.filename);
+    }
+
+    // Pack by key, not mapping order, so renaming a form does not move any frame
+    for (const ranges of Object.values(groups)) {
+        for (const entries of ranges.values()) {
+            entries.sort((a, b) => a.dexID - b.dexID || a.key.localeCompare(b.key, 'en', { numeric: true }));
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Shelf-pack sprites into rows, tallest first
+ * Returns the atlas height; each sprite gets x and y
+ */
+function packShelves(sprites) {
+    const order = sprites.slice().sort((a, b) => b.height - a.height || b.width - a.width);
+    let x = 0;
+    let y = 0;
+    let rowHeight = 0;
+
+    for (const sprite of order) {
+        if (x + sprite.width > ATLAS_WIDTH) {
+            x = 0;
+            y += rowHeight;
+            rowHeight = 0;
+        }
+        sprite.x = x;
+        sprite.y = y;
+        x += sprite.width;
+        rowHeight = Math.max(rowHeight, sprite.height);
+    }
+
+    return y + rowHeight;
+}
+
+/**
+ * Build one atlas PNG from sprite files; returns the packed sprites and size
+ */
+async function buildAtlas(entries, outputPath) {
+    const sprites = [];
+    for (const entry of entries) {
+        const { data, info } = await sharp(entry.file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        if (info.width > ATLAS_WIDTH) {
+            throw new Error(`${entry.file} is wider than the atlas (${info.width}px)`);
+        }
+        sprites.push({ ...entry, data, width: info.width, height: info.height });
+    }
+
+    const height = packShelves(sprites);
+    const canvas = Buffer.alloc(ATLAS_WIDTH * height * 4);
+    for (const sprite of sprites) {
+        for (let row = 0; row < sprite.height; row++) {
+            const source = row * sprite.width * 4;
+            sprite.data.copy(canvas, ((sprite.y + row) * ATLAS_WIDTH + sprite.x) * 4, source, source + sprite.width * 4);
+        }
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    await sharp(canvas, { raw: { width: ATLAS_WIDTH, height: height, channels: 4 } })
+        .png({ compressionLevel: 9 })
+        .toFile(outputPath);
+
+    return { sprites, width: ATLAS_WIDTH, height };
+}
+
+async function main() {
+    console.log('Sprite Atlas Packer\n');
+    console.log('='.repeat(50));
+
+    for (const file of [RR_MAPPING_FILE, MOEMON_MAPPING_FILE]) {
+        if (!fs.existsSync(file)) {
+            console.error(`Error: File '${file}' not found`);
+            process.exit(1);
+        }
+    }
+
+    console.log(`Reading ${RR_MAPPING_FILE}...`);
+    const rrMapping = JSON.parse(fs.readFileSync(RR_MAPPING_FILE, 'utf8'));
+    console.log(`Reading ${MOEMON_MAPPING_FILE}...`);
+    const moemonMapping = JSON.parse(fs.readFileSync(MOEMON_MAPPING_FILE, 'utf8'));
+
+    // Start from an empty folder so atlases of removed ranges disappear
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+
+    const groups = collectSprites(rrMapping, moemonMapping);
+    const spriteDirs = { pokemon: RR_SPRITE_DIR, moemon: MOEMON_SPRITE_DIR };
+    const index = { version: 1, atlases: [], frames: { pokemon: {}, moemon: {} } };
+    const stats = { atlases: 0, frames: 0, missing: 0, bytes: 0 };
+
+    for (const source of ['pokemon', 'moemon']) {
+        for (const [type, folder] of Object.entries(VARIANTS)) {
+            index.frames[source][type] = {};
+
+            for (const [range, entries] of groups[source]) {
+                // Sprites without a file keep falling back to the viewer's missing placeholder
+                const existing = [];
+                const seen = new Set();
+                for (const entry of entries) {
+                    const file = path.join(spriteDirs[source], folder, source === 'pokemon' ? `${entry.key}.png` : entry.key);
+                    if (seen.has(entry.key)) continue;
+                    seen.add(entry.key);
+                    if (fs.existsSync(file)) existing.push({ ...entry, file });
+                    else stats.missing++;
+                }
+                if (existing.length === 0) continue;
+
+                const atlasFile = `${source}/${type}/${range}.png`;
+                const atlasPath = path.join(OUTPUT_DIR, atlasFile);
+                const atlas = await buildAtlas(existing, atlasPath);
+
+                const atlasIndex = index.atlases.length;
+                index.atlases.push({ file: atlasFile, width: atlas.width, height: atlas.height });
+                for (const sprite of atlas.sprites) {
+                    index.frames[source][type][sprite.key] = [atlasIndex, sprite.x, sprite.y, sprite.width, sprite.height];
+                }
+
+                stats.atlases++;
+                stats.frames += atlas.sprites.length;
+                stats.bytes += fs.statSync(atlasPath).size;
+            }
+            console.log(`  ${source} ${type}: ${Object.keys(index.frames[source][type]).length} frames`);
+        }
+    }
+
+    console.log(`Writing to ${INDEX_FILE}...`);
+    fs.writeFileSync(INDEX_FILE, JSON.stringify(index), 'utf8');
+
+    // Print results
+    console.log('\n' + '='.repeat(50));
+    console.log('\n✓ Atlases packed!');
+    console.log(`  Atlases: ${stats.atlases} (${(stats.bytes / 1024 / 1024).toFixed(1)} MB)`);
+    console.log(`  Frames: ${stats.frames}`);
+    console.log(`  Sprites without a file: ${stats.missing}`);
+
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`\nAtlases saved to: ${OUTPUT_DIR}`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+
+/**
+ * Build pipeline for the sprite viewer data
+ * Runs the mapping and sprite scripts in dependency order using the paths from
+ * one config file. A stage is skipped when the content hash of its inputs (and
+ * of its script and arguments) matches the last successful run.
+ *
+ * Usage: node pipeline.js [build|status] [--config <file>] [--force] [--verbose]
+ * Default: node pipeline.js build --config ./pipeline.config.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+// fill-missing writes new sprites back into the split folder, which makes the
+// mapping stages stale again; repeat passes until every stage is up to date
+const MAX_PASSES = 3;
+
+/**
+ * Pipeline stages in dependency order
+ * inputs must exist for the stage to run; optionalInputs only affect the hash.
+ * Stages with an enabled() check only run when it returns true for the settings.
+ */
+const STAGES = [
+    {
+        name: 'rr-mapping',
+        script: 'map-dex-to-rr.js',
+        inputs: p => [p.rrData],
+        outputs: p => [p.rrMapping],
+        args: p => [p.rrData, p.rrMapping],
+        summary: p => describeMapping(p.rrMapping)
+    },
+    {
+        name: 'split',
+        script: 'split-moemon-sprites.js',
+        inputs: p => [p.spriteSheets],
+        optionalInputs: p => [path.join(__dirname, 'sprite-sheet-layout.js')],
+        outputs: p => [path.join(p.splitDir, 'front')],
+        args: p => [p.spriteSheets, p.splitDir, '--manifest', path.join(p.cacheDir, 'split-manifest.json')],
+        summary: p => `${countFiles(path.join(p.splitDir, 'front'))} front sprites`
+    },
+    {
+        name: 'moemon-mapping',
+        script: 'map-dex-to-moemon.js',
+        inputs: p => [path.join(p.splitDir, 'front')],
+        outputs: p => [p.moemonMapping],
+        args: p => [path.join(p.splitDir, 'front'), p.moemonMapping],
+        summary: p => describeMapping(p.moemonMapping)
+    },
+    {
+        name: 'duplicates',
+        script: 'find-duplicate-sprites.js',
+        inputs: p => [p.splitDir],
+        outputs: p => [p.duplicates],
+        args: p => [p.splitDir, p.duplicates],
+        summary: p => {
+            const report = readJson(p.duplicates);
+            return report ? `${report.clusters.length} duplicate clusters` : '';
+        }
+    },
+    {
+        name: 'process',
+        script: 'process-moemon-mapping.js',
+        inputs: p => [p.moemonMapping, p.namingRules],
+        optionalInputs: p => [
+            p.rrMapping, p.duplicates, p.overrides,
+            path.join(__dirname, 'moemon-naming-rules.schema.json'),
+            path.join(__dirname, 'moemon-overrides.schema.json')
+        ],
+        outputs: p => [p.processedMapping],
+        args: p => [p.moemonMapping, p.processedMapping, p.namingRules, p.rrMapping, p.duplicates, p.overrides],
+        summary: p => {
+            const mapping = readJson(p.processedMapping);
+            if (!mapping) return '';
+            const forms = Object.values(mapping).flat();
+            const duplicates = forms.filter(f => f.duplicateOf).length;
+            return `${forms.length} forms, ${forms.filter(f => f.isCanonical).length} canonical, ${duplicates} duplicates`;
+        }
+    },
+    {
+        name: 'links',
+        script: 'link-moemon-forms.js',
+        inputs: p => [p.rrMapping, p.processedMapping],
+        optionalInputs: p => [path.join(__dirname, 'ordered-forms.js')],
+        outputs: p => [p.formLinks],
+        args: p => [p.rrMapping, p.processedMapping, p.formLinks],
+        summary: p => {
+            const linkData = readJson(p.formLinks);
+            if (!linkData) return '';
+            const { pokemon, moemon } = linkData.unmatched;
+            return `${linkData.links.length} links, ${pokemon.length} + ${moemon.length} unmatched`;
+        }
+    },
+    {
+        name: 'fill-missing',
+        script: 'fill-missing-moemon.js',
+        inputs: p => [p.spriteDatabase, p.processedMapping],
+        optionalInputs: p => [path.join(__dirname, 'sprite-sheet-layout.js')],
+        outputs: p => [p.fillLog],
+        args: p => [p.spriteDatabase, p.splitDir, p.processedMapping, p.fillLog],
+        summary: p => {
+            if (!fs.existsSync(p.fillLog)) return '';
+            const match = fs.readFileSync(p.fillLog, 'utf8').match(/Total files split: (\d+)/);
+            return match ? `${match[1]} files split` : '';
+        }
+    },
+    {
+        name: 'shiny',
+        script: 'analyze-shiny-palettes.js',
+        inputs: p => [p.splitDir, p.rrSprites],
+        outputs: p => [p.shinyReport, p.shinyStatus],
+        args: p => [p.splitDir, p.rrSprites, p.shinyReport, p.shinyStatus],
+        summary: p => {
+            const report = readJson(p.shinyReport);
+            if (!report) return '';
+            const issues = results => Object.values(results).filter(r => r.status !== 'palette-swap').length;
+            return `${issues(report.moemon)} Moemon + ${issues(report.pokemon)} Pokemon shiny issues`;
+        }
+    },
+    {
+        name: 'atlases',
+        script: 'pack-sprite-atlases.js',
+        inputs: p => [p.rrMapping, p.processedMapping, p.rrSprites, p.splitDir],
+        outputs: p => [path.join(p.atlasDir, 'atlas-index.json')],
+        args: p => [p.rrMapping, p.processedMapping, p.rrSprites, p.splitDir, p.atlasDir],
+        summary: p => {
+            const index = readJson(path.join(p.atlasDir, 'atlas-index.json'));
+            return index ? `${index.atlases.length} atlases` : '';
+        }
+    },
+    {
+        name: 'manifest',
+        script: 'build-asset-manifest.js',
+        inputs: p => [p.artworkDir, p.rrSprites, p.splitDir],
+        outputs: p => [p.assetManifest],
+        args: p => [p.artworkDir, p.rrSprites, p.splitDir, p.assetManifest],
+        summary: p => {
+            const manifest = readJson(p.assetManifest);
+            if (!manifest) return '';
+            const count = groups => Object.values(groups).reduce((total, entries) => total + Object.keys(entries).length, 0);
+            return `${count(manifest.pokemon) + count(manifest.moemon)} sprites, ${Object.keys(manifest.artwork).length} artworks`;
+        }
+    },
+    {
+        name: 'normalize',
+        script: 'normalize-moemon-sprites.js',
+        enabled: s => Boolean(s.normalize && s.normalize.enabled),
+        inputs: p => [p.splitDir],
+        outputs: p => [p.normalizedDir, p.normalizeReport],
+        args: (p, s) => [
+            p.splitDir, p.normalizedDir,
+            '--canvas', s.normalize.canvas || '64x64',
+            '--offset', `${s.normalize.offsetX || 0},${s.normalize.offsetY || 0}`,
+            '--report', p.normalizeReport
+        ],
+        summary: p => {
+            const report = readJson(p.normalizeReport);
+            if (!report) return '';
+            const files = Object.values(report.files);
+            return `${files.length} sprites, ${files.filter(f => f.status === 'resized').length} resized`;
+        }
+    }
+];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        command: 'build',
+        config: './pipeline.config.json',
+        force: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            options.config = argv[++i];
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (!arg.startsWith('--')) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown option '${arg}'`);
+        }
+    }
+
+    if (!['build', 'status'].includes(options.command)) {
+        throw new Error(`Unknown command '${options.command}'`);
+    }
+    if (!options.config) {
+        throw new Error('--config needs a file');
+    }
+
+    return options;
+}
+
+/**
+ * Load the config file and resolve its paths relative to the config's folder
+ * String values are paths; object values are stage settings
+ */
+function loadConfig(configFile) {
+    if (!fs.existsSync(configFile)) {
+        throw new Error(`Config file '${configFile}' not found`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const baseDir = path.dirname(path.resolve(configFile));
+    const paths = {};
+    const settings = {};
+    for (const [name, value] of Object.entries(config)) {
+        if (typeof value === 'string') {
+            paths[name] = path.resolve(baseDir, value);
+        } else {
+            settings[name] = value;
+        }
+    }
+
+    return { baseDir, paths, settings };
+}
+
+/**
+ * Hash a file, or a directory's relative file names and contents
+ */
+function hashPath(target, hash = crypto.createHash('sha1'), root = target) {
+    if (!fs.existsSync(target)) {
+        hash.update(`missing:${path.relative(root, target)}\n`);
+        return hash;
+    }
+
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+        for (const entry of fs.readdirSync(target).sort()) {
+            hashPath(path.join(target, entry), hash, root);
+        }
+    } else {
+        hash.update(`file:${path.relative(root, target)}\n`);
+        hash.update(fs.readFileSync(target));
+    }
+
+    return hash;
+}
+
+/**
+ * Hash everything a stage depends on
+ */
+function hashStage(stage, paths, settings, baseDir) {
+    const hash = crypto.createHash('sha1');
+    hash.update(fs.readFileSync(path.join(__dirname, stage.script)));
+    hash.update(JSON.stringify(stage.args(paths, settings).map(arg => path.isAbsolute(arg) ? path.relative(baseDir, arg) : arg)));
+
+    const inputs = stage.inputs(paths).concat(stage.optionalInputs ? stage.optionalInputs(paths) : []);
+    for (const input of inputs) {
+        hash.update(`input:${path.relative(baseDir, input)}\n`);
+        hashPath(input, hash);
+    }
+
+    return hash.digest('hex');
+}
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function describeMapping(file) {
+    const mapping = readJson(file);
+    if (!mapping) return '';
+    const formCount = Object.values(mapping).reduce((sum, forms) => sum + forms.length, 0);
+    return `${Object.keys(mapping).length} dexIDs, ${formCount} forms`;
+}
+
+function displayPath(target) {
+    return path.relative(process.cwd(), target) || '.';
+}
+
+function countFiles(dir) {
+    return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+}
+
+/**
+ * Work out whether a stage needs to run
+ */
+function checkStage(stage, paths, settings, baseDir, state, force) {
+    if (stage.enabled && !stage.enabled(settings)) {
+        return { action: 'disabled', reason: 'disabled in config' };
+    }
+
+    const missingInput = stage.inputs(paths).find(input => !fs.existsSync(input));
+    if (missingInput) {
+        return { action: 'skip', reason: `missing input ${displayPath(missingInput)}` };
+    }
+
+    const hash = hashStage(stage, paths, settings, baseDir);
+    const missingOutput = stage.outputs(paths).find(output => !fs.existsSync(output));
+
+    if (force) {
+        return { action: 'run', hash, reason: 'forced' };
+    }
+    if (missingOutput) {
+        return { action: 'run', hash, reason: `missing output ${displayPath(missingOutput)}` };
+    }
+    if (!state.stages[stage.name] || state.stages[stage.name].hash !== hash) {
+        return { action: 'run', hash, reason: 'inputs changed' };
+    }
+    return { action: 'fresh', hash };
+}
+
+/**
+ * Run one stage's script, capturing its output in a log file
+ */
+function runStage(stage, paths, settings, baseDir, verbose) {
+    const logFile = path.join(paths.cacheDir, 'logs', `${stage.name}.log`);
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+    const started = Date.now();
+    const result = spawnSync(process.execPath, [path.join(__dirname, stage.script), ...stage.args(paths, settings)], {
+        cwd: baseDir,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: verbose ? 'inherit' : 'pipe'
+    });
+    const seconds = (Date.now() - started) / 1000;
+
+    if (!verbose) {
+        fs.writeFileSync(logFile, (result.stdout || '') + (result.stderr || ''), 'utf8');
+    }
+
+    return {
+        ok: result.status === 0,
+        seconds: seconds,
+        logFile: verbose ? null : logFile,
+        error: result.error ? result.error.message : null
+    };
+}
+
+function loadState(file) {
+    return readJson(file) || { stages: {} };
+}
+
+function saveState(file, state) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * Print the combined summary table
+ */
+function printSummary(results, paths) {
+    console.log('\n' + '='.repeat(50));
+    console.log('\nPipeline summary:\n');
+
+    for (const stage of STAGES) {
+        const result = results[stage.name];
+        const time = result.seconds ? `${result.seconds.toFixed(1)}s` : '-';
+        const status = result.runs > 1 ? `${result.status} x${result.runs}` : result.status;
+        const details = result.reason || stage.summary(paths);
+        console.log(`  ${stage.name.padEnd(16)} ${status.padEnd(11)} ${time.padStart(7)}  ${details}`);
+    }
+}
+
+function main() {
+    let options;
+    let config;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        config = loadConfig(options.config);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error('Usage: node pipeline.js [build|status] [--config <file>] [--force] [--verbose]');
+        process.exit(1);
+    }
+
+    const { baseDir, paths, settings } = config;
+    const stateFile = path.join(paths.cacheDir, 'state.json');
+    const state = loadState(stateFile);
+
+    console.log('Sprite Viewer Pipeline\n');
+    console.log('='.repeat(50));
+
+    if (options.command === 'status') {
+        for (const stage of STAGES) {
+            const check = checkStage(stage, paths, settings, baseDir, state, options.force);
+            const label = { run: 'stale', skip: 'skipped', fresh: 'up to date', disabled: 'disabled' }[check.action];
+            console.log(`  ${stage.name.padEnd(16)} ${label}${check.reason ? ` (${check.reason})` : ''}`);
+        }
+        return;
+    }
+
+    const results = {};
+    for (const stage of STAGES) {
+        results[stage.name] = { status: 'up to date', seconds: 0, runs: 0 };
+    }
+
+    for (let pass = 1; pass <= MAX_PASSES; pass++) {
+        let ranAny = false;
+
+        for (const stage of STAGES) {
+            const check = checkStage(stage, paths, settings, baseDir, state, options.force && pass === 1);
+            const result = results[stage.name];
+
+            if (check.action === 'skip' || check.action === 'disabled') {
+                result.status = check.action === 'skip' ? 'skipped' : 'disabled';
+                result.reason = check.reason;
+                continue;
+            }
+            if (check.action === 'fresh') {
+                continue;
+            }
+
+            console.log(`\n▶ ${stage.name} (${check.reason})`);
+            const run = runStage(stage, paths, settings, baseDir, options.verbose);
+            result.seconds += run.seconds;
+            result.runs++;
+            ranAny = true;
+
+            if (!run.ok) {
+                result.status = 'failed';
+                result.reason = run.error || (run.logFile ? `see ${displayPath(run.logFile)}` : 'see output above');
+                console.error(`✗ ${stage.name} failed`);
+                if (run.logFile) {
+                    const log = fs.readFileSync(run.logFile, 'utf8').trimEnd().split('\n');
+                    console.error(log.slice(-20).map(line => `    ${line}`).join('\n'));
+                }
+                printSummary(results, paths);
+                process.exit(1);
+            }
+
+            result.status = 'ran';
+            result.reason = null;
+            state.stages[stage.name] = { hash: check.hash, finishedAt: new Date().toISOString() };
+            saveState(stateFile, state);
+            console.log(`✓ ${stage.name} done in ${run.seconds.toFixed(1)}s`);
+        }
+
+        if (!ranAny) break;
+    }
+
+    printSummary(results, paths);
+}
+
+main();
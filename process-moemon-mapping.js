@@ -2,29 +2,51 @@
 
 /**
  * Process Moemon mapping with naming rules
- * Applies consistent naming conventions based on moemon key patterns
+ * Applies consistent naming conventions based on moemon key patterns.
+ * Prefix suffixes and per-dexID canonical picks come from the naming rules
+ * file (see moemon-naming-rules.schema.json), which is validated before use.
  * 
- * Usage: node process-moemon-mapping.js [input-file] [output-file]
- * Default: node process-moemon-mapping.js ./dex-to-moemon-mapping.json ./dex-to-moemon-mapping-processed.json
+ * If the duplicates file from find-duplicate-sprites.js exists, versioned (-vN)
+ * forms whose sprites duplicate another form get duplicateOf: <filename>.
+ * 
+ * If the overrides file exists (exported by the viewer's edit mode, see
+ * moemon-overrides.schema.json), it is applied last: forms are renamed, their
+ * canonical flag set, linked to an RR ID (rrID) or dropped when hidden.
+ * 
+ * Usage: node process-moemon-mapping.js [input-file] [output-file] [rules-file] [rr-mapping-file] [duplicates-file] [overrides-file]
+ * Default: node process-moemon-mapping.js ./dex-to-moemon-mapping.json ./dex-to-moemon-mapping-processed.json ./moemon-naming-rules.json ./dex-to-rr-mapping.json ./moemon-duplicates.json ./moemon-overrides.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validate } = require('./schema-validate');
 
 // Get command line arguments
 const args = process.argv.slice(2);
 const inputFile = args[0] || './dex-to-moemon-mapping.json';
 const outputFile = args[1] || './dex-to-moemon-mapping-processed.json';
+const rulesFile = args[2] || './moemon-naming-rules.json';
+const rrMappingPath = args[3] || './dex-to-rr-mapping.json';
+const duplicatesFile = args[4] || './moemon-duplicates.json';
+const overridesFile = args[5] || './moemon-overrides.json';
+const RULES_SCHEMA_FILE = path.join(__dirname, 'moemon-naming-rules.schema.json');
+const OVERRIDES_SCHEMA_FILE = path.join(__dirname, 'moemon-overrides.schema.json');
 
 console.log('Moemon Mapping Processor\n');
 console.log('='.repeat(50));
 
-// Check if input file exists
-if (!fs.existsSync(inputFile)) {
-    console.error(`Error: File '${inputFile}' not found`);
-    process.exit(1);
+// Check if input files exist
+for (const file of [inputFile, rulesFile]) {
+    if (!fs.existsSync(file)) {
+        console.error(`Error: File '${file}' not found`);
+        process.exit(1);
+    }
 }
 
+// Load and validate the naming rules
+console.log(`Reading ${rulesFile}...`);
+const rules = loadNamingRules(rulesFile);
+
 // Load the raw mapping
 console.log(`Reading ${inputFile}...`);
 const rawMapping = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
@@ -44,9 +66,88 @@ const stats = {
     hisui: 0,
     paldea: 0,
     sevii: 0,
-    custom: 0
+    custom: 0,
+    duplicates: 0,
+    overridden: 0,
+    hidden: 0
 };
 
+/**
+ * Load the naming rules file, validate it and index the dexID rules
+ * Exits with the list of problems if the file is invalid
+ */
+function loadNamingRules(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error(`Error parsing rules file: ${err.message}`);
+        process.exit(1);
+    }
+    
+    const schema = JSON.parse(fs.readFileSync(RULES_SCHEMA_FILE, 'utf8'));
+    const errors = validate(raw, schema);
+    
+    // Merge every dexRule into one entry per dexID, rejecting conflicts
+    const byDex = new Map();
+    if (errors.length === 0) {
+        raw.dexRules.forEach((rule, i) => {
+            for (const dexID of rule.dexIDs) {
+                if (!byDex.has(dexID)) {
+                    byDex.set(dexID, { prefixes: {}, excludeKeys: [], canonical: null });
+                }
+                const entry = byDex.get(dexID);
+                
+                for (const [prefix, suffix] of Object.entries(rule.prefixes || {})) {
+                    if (prefix in entry.prefixes && entry.prefixes[prefix] !== suffix) {
+                        errors.push(`$.dexRules[${i}]: dexID ${dexID} prefix "${prefix}" already maps to "${entry.prefixes[prefix]}"`);
+                    }
+                    entry.prefixes[prefix] = suffix;
+                }
+                
+                entry.excludeKeys.push(...(rule.excludeKeys || []));
+                
+                if (rule.canonical) {
+                    if (entry.canonical) {
+                        errors.push(`$.dexRules[${i}]: dexID ${dexID} already has a canonical rule`);
+                    }
+                    entry.canonical = rule.canonical;
+                }
+            }
+        });
+    }
+    
+    if (errors.length > 0) {
+        console.error(`Error: Invalid rules file '${file}':`);
+        for (const error of errors) {
+            console.error(`  - ${error}`);
+        }
+        process.exit(1);
+    }
+    
+    // Region names (e.g. "Alola") come from the suffixes of the regional prefixes
+    const regions = Object.values(raw.globalPrefixes)
+        .filter(rule => rule.role === 'regional' && rule.suffix)
+        .map(rule => rule.suffix.slice(1));
+    
+    return {
+        version: raw.version,
+        excludeKeys: raw.excludeKeys || [],
+        globalPrefixes: raw.globalPrefixes,
+        regions: regions,
+        dexRules: byDex
+    };
+}
+
+/**
+ * Turn a name suffix into its stats key, e.g. "-Mega-X" -> "megaX"
+ */
+function statKey(suffix) {
+    return suffix.slice(1).split('-')
+        .map((part, i) => i === 0 ? part.toLowerCase() : part)
+        .join('');
+}
+
 /**
  * Parse a moemon key to extract prefix and version
  */
@@ -80,423 +181,117 @@ function parseKey(key) {
 }
 
 /**
- * Determine the name suffix based on the key pattern
+ * Get the numeric version of a parsed form
  */
-function getNameSuffix(parsed, dexID) {
-    if (!parsed.prefix) {
-        // No prefix - check for special base case
-        if (parsed.middle && parsed.middle.toLowerCase().startsWith('base')) {
-            return null; // Base is canonical-eligible
-        }
-        return null;
-    }
-    
-    const prefix = parsed.prefix.toLowerCase();
-    
-    // Special case: DexID 201 (Unown) - (m) and (r) are literal letters, not mega/regional
-    if (dexID === 201) {
-        if (prefix === 'm' || prefix === 'r') {
-            return `-${prefix.toUpperCase()}`;
-        }
-    }
-    
-    // Special case: DexID 648 (Meloetta) - (p) is -Pirouette
-    if (dexID === 648 && prefix === 'p') {
-        return '-Pirouette';
-    }
-    
-    // Special case: DexID 386 (Deoxys) - (a/d/s) are forme specific
-    if (dexID === 386) {
-        if (prefix === 'a') return '-Attack';
-        if (prefix === 'd') return '-Defense';
-        if (prefix === 's') return '-Speed';
-    }
-    
-    // Special case: DexID 492 (Shaymin) - (s) is -Sky
-    if (dexID === 492 && prefix === 's') {
-        return '-Sky';
-    }
-    
-    // Special case: DexID 487 (Giratina) - (o) is -Origin
-    if (dexID === 487 && prefix === 'o') {
-        return '-Origin';
-    }
-    
-    // Special case: DexID 421 (Cherrim) - (s) is -Sunshine
-    if (dexID === 421 && prefix === 's') {
-        return '-Sunshine';
-    }
-    
-    // Special case: DexID 412, 413 (Burmy, Wormadam) - (sandy) and (trash) forms
-    if ((dexID === 412 || dexID === 413) && prefix === 'sandy') {
-        return '-Sandy';
-    }
-    if ((dexID === 412 || dexID === 413) && prefix === 'trash') {
-        return '-Trash';
-    }
-    
-    // Special case: DexID 422, 423 (Shellos, Gastrodon) - (e) is -East
-    if ((dexID === 422 || dexID === 423) && prefix === 'e') {
-        return '-East';
-    }
-    
-    // Special case: DexID 550 (Basculin) - (blue) form
-    if (dexID === 550 && prefix === 'blue') {
-        return '-Blue-Striped';
-    }
-    if (dexID === 550 && prefix === 'white') {
-        return '-White-Striped';
-    }
-    
-    // Special case: DexID 585, 586 (Deerling, Sawsbuck) - seasonal forms
-    if (dexID === 585 || dexID === 586) {
-        if (prefix === 'summer') return '-Summer';
-        if (prefix === 'fall') return '-Autumn';
-        if (prefix === 'winter') return '-Winter';
-    }
-    
-    // Special case: DexID 669, 670, 671 (Flabébé line) - flower colors
-    if (dexID === 669 || dexID === 670 || dexID === 671) {
-        if (prefix === 'b') return '-Blue-Flower';
-        if (prefix === 'o') return '-Orange-Flower';
-        if (prefix === 'w') return '-White-Flower';
-        if (prefix === 'y') return '-Yellow-Flower';
-    }
-    
-    // Special case: DexID 670 (Floette) - (e) is -Eternal
-    if (dexID === 670 && prefix === 'e') {
-        return '-Eternal';
-    }
-    
-    // Special case: DexID 718 (Zygarde) - forms
-    if (dexID === 718) {
-        if (prefix === '10_') return '-10%';
-        if (prefix === '100_') return '-Complete';
-    }
-    
-    // Special case: DexID 745 (Lycanroc) - time forms
-    if (dexID === 745) {
-        if (prefix === 'dusk') return '-Dusk';
-        if (prefix === 'night') return '-Midnight';
-    }
-    
-    // Special case: DexID 849 (Toxtricity) - (low) is -Low-Key
-    if (dexID === 849 && prefix === 'low') {
-        return '-Low-Key';
-    }
-    
-    // Special case: DexID 898 (Calyrex) - (sr) is -Shadow
-    if (dexID === 898 && prefix === 'sr') {
-        return '-Shadow';
-    }
-    
-    // Special case: DexID 901 (Ursaluna) - (blood) is -Bloodmoon
-    if (dexID === 901 && prefix === 'blood') {
-        return '-Bloodmoon';
-    }
-    
-    // Handle special cases
-    if (prefix === 'masc') {
-        return '-Male';
-    }
-    if (prefix === 'm') {
-        return '-Mega';
-    }
-    if (prefix === 'mx') {
-        return '-Mega-X';
-    }
-    if (prefix === 'my') {
-        return '-Mega-Y';
-    }
-    if (prefix === 'fem') {
-        return null; // Female is canonical
-    }
-    
-    // Handle regional forms with new logic
-    if (prefix === 'r') {
-        // Check what regional forms exist for this DexID
-        const regionalForms = pokemonRegionalForms[dexID];
-        if (regionalForms && regionalForms.length === 1) {
-            // Only one regional form exists, use it
-            return `-${regionalForms[0]}`;
+function getVersion(form, fallback) {
+    return parseInt(form.parsed.version?.replace(/^-/, '') || fallback);
+}
+
+/**
+ * Sort forms by version, highest first
+ */
+function sortByVersionDesc(forms) {
+    return forms.sort((a, b) => getVersion(b, '0') - getVersion(a, '0'));
+}
+
+/**
+ * Resolve a (lowercase) key prefix to its role and name suffix
+ * DexID rules win over global prefixes, so e.g. Unown's (m) is not a mega
+ */
+function resolvePrefix(prefix, dexID) {
+    const dexRule = rules.dexRules.get(dexID);
+    if (dexRule && prefix in dexRule.prefixes) {
+        return { role: 'form', suffix: dexRule.prefixes[prefix] };
+    }
+    
+    const globalRule = rules.globalPrefixes[prefix];
+    if (globalRule) {
+        if (globalRule.role === 'regional' && !globalRule.suffix) {
+            // Generic regional prefix - use the regional form if the DexID only has one
+            const regionalForms = pokemonRegionalForms[dexID];
+            if (regionalForms && regionalForms.length === 1) {
+                return { role: 'regional', suffix: `-${regionalForms[0]}` };
+            }
+            // Multiple or no regional forms - need explicit prefix
+            return { role: 'regional', suffix: null }; // Will be caught as custom
         }
-        // Multiple or no regional forms - need explicit prefix
-        return null; // Will be caught as custom
-    }
-    
-    if (prefix === 'ra') {
-        return '-Alola';
-    }
-    
-    if (prefix === 'rg') {
-        return '-Galar';
-    }
-    
-    if (prefix === 'rh') {
-        return '-Hisui';
-    }
-    
-    if (prefix === 'rp') {
-        return '-Paldea';
-    }
-    
-    if (prefix === 'rs') {
-        return '-Sevii';
+        return { role: globalRule.role, suffix: globalRule.suffix || null };
     }
     
     // Generic prefix - capitalize first letter
     const capitalized = prefix.charAt(0).toUpperCase() + prefix.slice(1);
-    return `-${capitalized}`;
+    return { role: 'form', suffix: `-${capitalized}` };
+}
+
+/**
+ * Check whether a form key contains any of the excluded strings
+ */
+function isExcludedKey(key, excludeKeys) {
+    const lowerKey = key.toLowerCase();
+    return excludeKeys.some(excluded => lowerKey.includes(excluded.toLowerCase()));
 }
 
 /**
  * Process a dexID group
  */
 function processDexGroup(dexID, forms, pokemonName) {
-    // Special case: DexID 666 (Vivillon) - filter out duplicate Gen6 file
-    if (dexID === 666) {
-        forms = forms.filter(f => !f.key.includes('Gen6'));
-    }
-    
-    // Filter out all entries with (all) key
-    forms = forms.filter(f => !f.key.toLowerCase().includes('(all)'));
-    
-    const parsed = forms.map(form => ({
-        ...form,
-        parsed: parseKey(form.key)
-    }));
+    const dexRule = rules.dexRules.get(dexID);
+    
+    // Filter out excluded keys (global ones such as (all), plus any for this dexID)
+    const excludeKeys = rules.excludeKeys.concat(dexRule ? dexRule.excludeKeys : []);
+    forms = forms.filter(f => !isExcludedKey(f.key, excludeKeys));
+    
+    const parsed = forms.map(form => {
+        const parsedKey = parseKey(form.key);
+        return {
+            ...form,
+            parsed: parsedKey,
+            resolved: parsedKey.prefix ? resolvePrefix(parsedKey.prefix.toLowerCase(), dexID) : null
+        };
+    });
     
     // Separate forms by type
-    const femForms = parsed.filter(f => f.parsed.prefix?.toLowerCase() === 'fem');
+    const femForms = parsed.filter(f => f.resolved?.role === 'female');
     const baseForms = parsed.filter(f => !f.parsed.prefix && f.parsed.middle && f.parsed.middle.toLowerCase().startsWith('base'));
-    const plainForms = parsed.filter(f => !f.parsed.prefix && (!f.parsed.middle || (f.parsed.middle !== '-' && f.parsed.middle !== '' && !f.parsed.middle.toLowerCase().startsWith('base'))));
     const plainNoMiddleForms = parsed.filter(f => !f.parsed.prefix && (!f.parsed.middle || f.parsed.middle === '-' || f.parsed.middle === ''));
     
-    // Group mega forms by type for version handling (exclude special cases where m/r are not mega)
-    const megaForms = parsed.filter(f => {
-        const prefix = f.parsed.prefix?.toLowerCase();
-        return prefix === 'm' && dexID !== 201; // Exclude Unown
-    });
-    const megaXForms = parsed.filter(f => f.parsed.prefix?.toLowerCase() === 'mx');
-    const megaYForms = parsed.filter(f => f.parsed.prefix?.toLowerCase() === 'my');
-    
-    const otherForms = parsed.filter(f => {
-        const prefix = f.parsed.prefix?.toLowerCase();
-        return f.parsed.prefix && !['fem', 'm', 'mx', 'my'].includes(prefix);
-    });
+    // Group mega forms by prefix for version handling
+    const megaGroups = new Map();
+    for (const form of parsed) {
+        if (form.resolved?.role === 'mega') {
+            const prefix = form.parsed.prefix.toLowerCase();
+            if (!megaGroups.has(prefix)) megaGroups.set(prefix, []);
+            megaGroups.get(prefix).push(form);
+        }
+    }
     
     // Determine canonical form
     let canonicalForm = null;
     let canonicalIsFemale = false;
     
-    // Special case: DexID 412, 413 (Burmy, Wormadam) - (plant) is canonical
-    if ((dexID === 412 || dexID === 413) && !canonicalForm) {
-        const plantForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'plant');
-        if (plantForm) {
-            canonicalForm = plantForm;
-        }
-    }
-    
-    // Special case: DexID 421 (Cherrim) - (o) is canonical
-    if (dexID === 421 && !canonicalForm) {
-        const oForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'o');
-        if (oForm) {
-            canonicalForm = oForm;
-        }
-    }
-    
-    // Special case: DexID 422, 423 (Shellos, Gastrodon) - (w) is canonical
-    if ((dexID === 422 || dexID === 423) && !canonicalForm) {
-        const wForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'w');
-        if (wForm) {
-            canonicalForm = wForm;
-        }
-    }
-    
-    // Special case: DexID 550 (Basculin) - (red) is canonical
-    if (dexID === 550 && !canonicalForm) {
-        const redForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'red');
-        if (redForm) {
-            canonicalForm = redForm;
-        }
-    }
-    
-    // Special case: DexID 585, 586 (Deerling, Sawsbuck) - (spring) is canonical
-    if ((dexID === 585 || dexID === 586) && !canonicalForm) {
-        const springForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'spring');
-        if (springForm) {
-            canonicalForm = springForm;
-        }
-    }
-    
-    // Special case: DexID 666 (Vivillon) - (mea) is canonical
-    if (dexID === 666 && !canonicalForm) {
-        const meaForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'mea' && !f.key.includes('Gen6'));
-        if (meaForm) {
-            canonicalForm = meaForm;
-        }
-    }
-    
-    // Special case: DexID 669, 670, 671 (Flabébé line) - (r) is canonical
-    if ((dexID === 669 || dexID === 670 || dexID === 671) && !canonicalForm) {
-        const rForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'r');
-        if (rForm) {
-            canonicalForm = rForm;
-        }
-    }
-    
-    // Special case: DexID 711 (Gourgeist) - (xl) is canonical
-    if (dexID === 711 && !canonicalForm) {
-        const xlForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'xl');
-        if (xlForm) {
-            canonicalForm = xlForm;
-        }
-    }
-    
-    // Special case: DexID 718 (Zygarde) - (50_) is canonical
-    if (dexID === 718 && !canonicalForm) {
-        const form50 = parsed.find(f => f.parsed.prefix?.toLowerCase() === '50_');
-        if (form50) {
-            canonicalForm = form50;
-        }
-    }
-    
-    // Special case: DexID 745 (Lycanroc) - (day) is canonical
-    if (dexID === 745 && !canonicalForm) {
-        const dayForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'day');
-        if (dayForm) {
-            canonicalForm = dayForm;
-        }
-    }
-    
-    // Special case: DexID 771 (Pyukumuku) - (-01) is canonical
-    if (dexID === 771 && !canonicalForm) {
-        const form01 = parsed.find(f => f.key === '-01');
-        if (form01) {
-            canonicalForm = form01;
-        }
-    }
-    
-    // Special case: DexID 849 (Toxtricity) - (amp) is canonical
-    if (dexID === 849 && !canonicalForm) {
-        const ampForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'amp');
-        if (ampForm) {
-            canonicalForm = ampForm;
-        }
-    }
-    
-    // Special case: DexID 854 (Sinistea) - (antique) is canonical
-    if (dexID === 854 && !canonicalForm) {
-        const antiqueForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'antique');
-        if (antiqueForm) {
-            canonicalForm = antiqueForm;
-        }
-    }
-    
-    // Special case: DexID 888 (Zacian) - (hero) is canonical
-    if (dexID === 888 && !canonicalForm) {
-        const heroForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'hero');
-        if (heroForm) {
-            canonicalForm = heroForm;
-        }
-    }
-    
-    // Special case: DexID 925 (Maushold) - (4) is canonical
-    if (dexID === 925 && !canonicalForm) {
-        const form4 = parsed.find(f => f.parsed.prefix === '4');
-        if (form4) {
-            canonicalForm = form4;
-        }
-    }
-    
-    // Special case: DexID 999 (Gimmighoul) - (chest) is canonical
-    if (dexID === 999 && !canonicalForm) {
-        const chestForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'chest');
-        if (chestForm) {
-            canonicalForm = chestForm;
-        }
-    }
-    
-    // Special case: DexID 716 (Xerneas) - (neutral) is canonical
-    if (dexID === 716 && !canonicalForm) {
-        const neutralForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'neutral');
-        if (neutralForm) {
-            canonicalForm = neutralForm;
-        }
-    }
-    
-    // Special case: DexID 648 (Meloetta) - (a) is canonical
-    if (dexID === 648 && !canonicalForm) {
-        const aForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'a');
-        if (aForm) {
-            canonicalForm = aForm;
-        }
-    }
-    
-    // Special case: DexID 492 (Shaymin) - (l) is canonical
-    if (dexID === 492 && !canonicalForm) {
-        const lForm = parsed.find(f => f.parsed.prefix?.toLowerCase() === 'l');
-        if (lForm) {
-            canonicalForm = lForm;
-        }
+    // DexID-specific canonical pick from the rules file
+    if (dexRule && dexRule.canonical) {
+        const pick = dexRule.canonical;
+        canonicalForm = parsed.find(f => pick.key !== undefined
+            ? f.key === pick.key
+            : f.parsed.prefix?.toLowerCase() === pick.prefix) || null;
     }
     
     // Priority: (fem) forms, then base forms, then plain forms (highest version)
     if (!canonicalForm && femForms.length > 0) {
-        femForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalForm = femForms[0];
+        canonicalForm = sortByVersionDesc(femForms)[0];
         canonicalIsFemale = true;
         stats.female++;
     } else if (!canonicalForm && baseForms.length > 0) {
-        baseForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalForm = baseForms[0];
+        canonicalForm = sortByVersionDesc(baseForms)[0];
     } else if (!canonicalForm && plainNoMiddleForms.length > 0) {
-        plainNoMiddleForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalForm = plainNoMiddleForms[0];
+        canonicalForm = sortByVersionDesc(plainNoMiddleForms)[0];
     }
     
     // Determine canonical mega forms (highest version for each mega type)
-    let canonicalMega = null;
-    let canonicalMegaX = null;
-    let canonicalMegaY = null;
-    
-    if (megaForms.length > 0) {
-        megaForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalMega = megaForms[0];
-    }
-    
-    if (megaXForms.length > 0) {
-        megaXForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalMegaX = megaXForms[0];
-    }
-    
-    if (megaYForms.length > 0) {
-        megaYForms.sort((a, b) => {
-            const aVer = parseInt(a.parsed.version?.replace(/^-/, '') || '0');
-            const bVer = parseInt(b.parsed.version?.replace(/^-/, '') || '0');
-            return bVer - aVer;
-        });
-        canonicalMegaY = megaYForms[0];
+    const canonicalMegas = new Set();
+    for (const megaForms of megaGroups.values()) {
+        canonicalMegas.add(sortByVersionDesc(megaForms)[0].filename);
     }
     
     // Process all forms
@@ -505,23 +300,16 @@ function processDexGroup(dexID, forms, pokemonName) {
     for (const form of parsed) {
         let name = pokemonName || `Dex-${dexID}`;
         let isCanonical = false;
+        const resolved = form.resolved;
         
         // Check if this is the canonical form
         if (canonicalForm && form.filename === canonicalForm.filename) {
             isCanonical = true;
             stats.canonical++;
-        } else if (canonicalMega && form.filename === canonicalMega.filename) {
+        } else if (canonicalMegas.has(form.filename)) {
             isCanonical = true;
-            name += '-Mega';
-            stats.mega++;
-        } else if (canonicalMegaX && form.filename === canonicalMegaX.filename) {
-            isCanonical = true;
-            name += '-Mega-X';
-            stats.megaX++;
-        } else if (canonicalMegaY && form.filename === canonicalMegaY.filename) {
-            isCanonical = true;
-            name += '-Mega-Y';
-            stats.megaY++;
+            name += resolved.suffix;
+            stats[statKey(resolved.suffix)] = (stats[statKey(resolved.suffix)] || 0) + 1;
         } else {
             // Apply naming rules
             const prefix = form.parsed.prefix?.toLowerCase();
@@ -529,44 +317,21 @@ function processDexGroup(dexID, forms, pokemonName) {
             const hasMiddle = middle && middle !== '-' && middle !== '' && !middle.toLowerCase().startsWith('base');
             
             if (!prefix && !hasMiddle) {
-                // Plain form but not canonical - it's a version
-                const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                name += `-v${version}`;
+                // Plain or base form but not canonical - it's a version
+                name += `-v${getVersion(form, '1')}`;
                 stats.versioned++;
-            } else if (!prefix && middle && middle.toLowerCase().startsWith('base')) {
-                // Base form but not canonical - it's a version
-                const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                name += `-v${version}`;
-                stats.versioned++;
-            } else if (prefix === 'masc') {
-                name += '-Male';
+            } else if (resolved?.role === 'male') {
+                name += resolved.suffix;
                 stats.male++;
-            } else if (prefix === 'm' && dexID !== 201) {
-                // Non-canonical mega - add version (exclude Unown where m is a letter)
-                name += '-Mega';
-                const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                name += `-v${version}`;
-                stats.mega++;
-                stats.versioned++;
-            } else if (prefix === 'mx') {
-                // Non-canonical mega-x - add version
-                name += '-Mega-X';
-                const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                name += `-v${version}`;
-                stats.megaX++;
+            } else if (resolved?.role === 'mega') {
+                // Non-canonical mega - add version
+                name += `${resolved.suffix}-v${getVersion(form, '1')}`;
+                stats[statKey(resolved.suffix)] = (stats[statKey(resolved.suffix)] || 0) + 1;
                 stats.versioned++;
-            } else if (prefix === 'my') {
-                // Non-canonical mega-y - add version
-                name += '-Mega-Y';
-                const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                name += `-v${version}`;
-                stats.megaY++;
-                stats.versioned++;
-            } else if (prefix === 'fem') {
+            } else if (resolved?.role === 'female') {
                 // If canonical is female, this is a version
                 if (canonicalIsFemale) {
-                    const version = parseInt(form.parsed.version?.replace(/^-/, '') || '1');
-                    name += `-v${version}`;
+                    name += `-v${getVersion(form, '1')}`;
                     stats.versioned++;
                 } else {
                     // Female but not canonical - shouldn't happen but handle it
@@ -575,24 +340,12 @@ function processDexGroup(dexID, forms, pokemonName) {
                 }
             } else {
                 // Custom prefix or has middle content
-                if (prefix) {
-                    const suffix = getNameSuffix(form.parsed, dexID);
-                    if (suffix) {
-                        name += suffix;
-                        // Track regional forms
-                        if (suffix === '-Alola') {
-                            stats.alola++;
-                        } else if (suffix === '-Galar') {
-                            stats.galar++;
-                        } else if (suffix === '-Hisui') {
-                            stats.hisui++;
-                        } else if (suffix === '-Paldea') {
-                            stats.paldea++;
-                        } else if (suffix === '-Sevii') {
-                            stats.sevii++;
-                        } else {
-                            stats.custom++;
-                        }
+                if (resolved && resolved.suffix) {
+                    name += resolved.suffix;
+                    // Track regional forms
+                    const region = resolved.suffix.slice(1);
+                    if (resolved.role === 'regional' && rules.regions.includes(region)) {
+                        stats[statKey(resolved.suffix)] = (stats[statKey(resolved.suffix)] || 0) + 1;
                     } else {
                         stats.custom++;
                     }
@@ -632,7 +385,7 @@ function processDexGroup(dexID, forms, pokemonName) {
 // Load pokemon names from RR mapping if available
 let pokemonNames = {};
 let pokemonRegionalForms = {}; // Track which regional forms each DexID has
-const rrMappingPath = './dex-to-rr-mapping.json';
+let pokemonIDs = null; // DexID -> RR IDs, for checking rrID overrides
 if (fs.existsSync(rrMappingPath)) {
     console.log('Loading Pokemon names from RR mapping...');
     const rrMapping = JSON.parse(fs.readFileSync(rrMappingPath, 'utf8'));
@@ -640,24 +393,16 @@ if (fs.existsSync(rrMappingPath)) {
         if (forms.length > 0) {
             pokemonNames[dexID] = forms[0].name;
         }
+        pokemonIDs = pokemonIDs || {};
+        pokemonIDs[dexID] = forms.map(form => form.ID);
         
         // Track regional forms for this DexID
         const regionalForms = new Set();
         for (const form of forms) {
-            if (form.key.includes('Alola')) {
-                regionalForms.add('Alola');
-            }
-            if (form.key.includes('Galar')) {
-                regionalForms.add('Galar');
-            }
-            if (form.key.includes('Hisui')) {
-                regionalForms.add('Hisui');
-            }
-            if (form.key.includes('Paldea')) {
-                regionalForms.add('Paldea');
-            }
-            if (form.key.includes('Sevii')) {
-                regionalForms.add('Sevii');
+            for (const region of rules.regions) {
+                if (form.key.includes(region)) {
+                    regionalForms.add(region);
+                }
             }
         }
         if (regionalForms.size > 0) {
@@ -675,6 +420,126 @@ for (const [dexID, forms] of Object.entries(rawMapping)) {
     processedMapping[dexID] = processDexGroup(parseInt(dexID), forms, pokemonName);
 }
 
+/**
+ * Pick the form the other members of a duplicate cluster point to:
+ * canonical first, then unversioned forms, then the highest version
+ */
+function pickDuplicateTarget(forms) {
+    const versionOf = form => {
+        const match = form.name.match(/-v(\d+)$/);
+        return match ? parseInt(match[1]) : Infinity;
+    };
+    return forms.slice().sort((a, b) =>
+        Number(b.isCanonical) - Number(a.isCanonical) ||
+        versionOf(b) - versionOf(a) ||
+        a.filename.localeCompare(b.filename)
+    )[0];
+}
+
+/**
+ * Mark versioned forms that duplicate another form's sprites
+ */
+function annotateDuplicates(mapping, clusters) {
+    const formsByFilename = new Map();
+    for (const forms of Object.values(mapping)) {
+        for (const form of forms) {
+            formsByFilename.set(form.filename, form);
+        }
+    }
+
+    for (const cluster of clusters) {
+        const forms = cluster.files.map(filename => formsByFilename.get(filename)).filter(Boolean);
+        if (forms.length < 2) continue;
+
+        const target = pickDuplicateTarget(forms);
+        for (const form of forms) {
+            if (form !== target && !form.isCanonical && /-v\d+$/.test(form.name)) {
+                form.duplicateOf = target.filename;
+                stats.duplicates++;
+            }
+        }
+    }
+}
+
+if (fs.existsSync(duplicatesFile)) {
+    console.log(`Reading ${duplicatesFile}...`);
+    annotateDuplicates(processedMapping, JSON.parse(fs.readFileSync(duplicatesFile, 'utf8')).clusters);
+}
+
+/**
+ * Load and validate the overrides file; exits with the list of problems if invalid
+ */
+function loadOverrides(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error(`Error parsing overrides file: ${err.message}`);
+        process.exit(1);
+    }
+
+    const schema = JSON.parse(fs.readFileSync(OVERRIDES_SCHEMA_FILE, 'utf8'));
+    const errors = validate(raw, schema);
+    if (errors.length > 0) {
+        console.error(`Error: Invalid overrides file '${file}':`);
+        for (const error of errors) {
+            console.error(`  - ${error}`);
+        }
+        process.exit(1);
+    }
+    return raw.forms;
+}
+
+/**
+ * Apply the curated overrides on top of the processed mapping
+ * Returns warnings for overrides that no longer match the mapping
+ */
+function applyOverrides(mapping, overrides) {
+    const warnings = [];
+    const hiddenFiles = new Set();
+
+    for (const [dexID, forms] of Object.entries(mapping)) {
+        for (const form of forms) {
+            const override = overrides[form.filename];
+            if (!override) continue;
+
+            if (override.name !== undefined) form.name = override.name;
+            if (override.isCanonical !== undefined) form.isCanonical = override.isCanonical;
+            if (form.isCanonical) delete form.duplicateOf; // Only versions point to a duplicate target
+            if (override.rrID !== undefined) {
+                if (pokemonIDs && !(pokemonIDs[dexID] || []).includes(override.rrID)) {
+                    warnings.push(`${form.filename}: RR ID ${override.rrID} is not a form of dexID ${dexID}`);
+                }
+                form.rrID = override.rrID;
+            }
+            if (override.hidden) hiddenFiles.add(form.filename);
+            stats.overridden++;
+        }
+    }
+
+    const known = new Set(Object.values(mapping).flat().map(form => form.filename));
+    for (const filename of Object.keys(overrides)) {
+        if (!known.has(filename)) warnings.push(`${filename}: not in the mapping`);
+    }
+
+    // Hidden forms leave the mapping, and so do duplicate pointers to them
+    for (const [dexID, forms] of Object.entries(mapping)) {
+        mapping[dexID] = forms.filter(form => !hiddenFiles.has(form.filename));
+        stats.hidden += forms.length - mapping[dexID].length;
+        for (const form of mapping[dexID]) {
+            if (hiddenFiles.has(form.duplicateOf)) delete form.duplicateOf;
+        }
+    }
+
+    return warnings;
+}
+
+let overrideWarnings = [];
+if (fs.existsSync(overridesFile)) {
+    console.log(`Reading ${overridesFile}...`);
+    overrideWarnings = applyOverrides(processedMapping, loadOverrides(overridesFile));
+}
+
 // Write output
 console.log(`Writing to ${outputFile}...`);
 fs.writeFileSync(outputFile, JSON.stringify(processedMapping, null, 2), 'utf8');
@@ -696,6 +561,11 @@ console.log(`  Hisuian forms: ${stats.hisui}`);
 console.log(`  Paldean forms: ${stats.paldea}`);
 console.log(`  Sevii forms: ${stats.sevii}`);
 console.log(`  Custom forms: ${stats.custom}`);
+console.log(`  Duplicate versions: ${stats.duplicates}`);
+console.log(`  Overridden forms: ${stats.overridden} (${stats.hidden} hidden)`);
+for (const warning of overrideWarnings) {
+    console.log(`  ⚠ Override ${warning}`);
+}
 
 // Print some examples
 console.log('\n' + '='.repeat(50));
@@ -0,0 +1,98 @@
+/**
+ * Minimal JSON Schema validator
+ * Supports the subset of keywords used by the schema files in this repo:
+ * type, const, enum, pattern, minimum, required, properties,
+ * additionalProperties, propertyNames, minProperties, maxProperties,
+ * items, minItems
+ *
+ * Usage: const { validate } = require('./schema-validate');
+ *        const errors = validate(value, schema); // [] when valid
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema, returning a list of error strings
+ */
+function validate(value, schema, at = '$', errors = []) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at}: "${value}" does not match /${schema.pattern}/`);
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+
+    if (typeOf(value) === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const keys = Object.keys(value);
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${at}: missing required property "${key}"`);
+            }
+        }
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(`${at}: must have at least ${schema.minProperties} property(ies)`);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            errors.push(`${at}: must have at most ${schema.maxProperties} property(ies)`);
+        }
+
+        for (const key of keys) {
+            const childAt = `${at}.${key}`;
+
+            if (schema.propertyNames) {
+                validate(key, schema.propertyNames, `${childAt} (name)`, errors);
+            }
+
+            if (schema.properties && key in schema.properties) {
+                validate(value[key], schema.properties[key], childAt, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validate(value[key], schema.additionalProperties, childAt, errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
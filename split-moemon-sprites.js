@@ -3,29 +3,48 @@
 /**
  * Split Moemon sprite sheets into individual sprites
  * Each sprite sheet contains 4 sprites: front, front shiny, back, back shiny
+ * The layout (4x1, 2x2, 1x1 front only, optionally padded) is detected per sheet;
+ * sheets that match no known layout are reported as errors and not split,
+ * and the script exits with code 1 if any sheet failed.
  * 
- * Usage: node split-moemon-sprites.js
+ * With --manifest, the content hash and output name of every split sheet is
+ * recorded, and sheets that are unchanged since the last run are skipped.
+ * 
+ * Usage: node split-moemon-sprites.js [input-dir] [output-dir] [--manifest <file>]
+ * Default: node split-moemon-sprites.js ./moemon_sprite ./moemon-sprites-split
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sharp = require('sharp');
+const { detectSheetLayout } = require('./sprite-sheet-layout');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const manifestIndex = args.indexOf('--manifest');
+const MANIFEST_FILE = manifestIndex !== -1 ? args[manifestIndex + 1] : null;
+if (manifestIndex !== -1) {
+    args.splice(manifestIndex, 2);
+}
 
-const SPRITESETS_DIR = './moemon_sprite';
-const OUTPUT_DIR = './moemon-sprites-split';
+const SPRITESETS_DIR = args[0] || './moemon_sprite';
+const OUTPUT_DIR = args[1] || './moemon-sprites-split';
 
-// Output subdirectories matching Radical Red structure
+// Output subdirectories matching Radical Red structure, keyed by variant
 const OUTPUT_FOLDERS = {
-    front: path.join(OUTPUT_DIR, 'front'),
-    frontShiny: path.join(OUTPUT_DIR, 'front shiny'),
-    back: path.join(OUTPUT_DIR, 'back'),
-    backShiny: path.join(OUTPUT_DIR, 'back shiny')
+    'front': path.join(OUTPUT_DIR, 'front'),
+    'front shiny': path.join(OUTPUT_DIR, 'front shiny'),
+    'back': path.join(OUTPUT_DIR, 'back'),
+    'back shiny': path.join(OUTPUT_DIR, 'back shiny')
 };
 
 // Track file processing
 const stats = {
     processed: 0,
+    unchanged: 0,
     failed: 0,
+    layouts: {},
     duplicates: [],
     errors: []
 };
@@ -33,6 +52,38 @@ const stats = {
 // Track filenames to detect duplicates
 const filenameRegistry = new Map();
 
+// Sheets split by previous runs: relative path -> { hash, output, variants }
+let previousManifest = {};
+const manifest = {};
+
+/**
+ * Load the manifest written by the previous run, if any
+ */
+function loadManifest() {
+    if (MANIFEST_FILE && fs.existsSync(MANIFEST_FILE)) {
+        previousManifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    }
+}
+
+/**
+ * Hash a file's contents
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Check whether a sheet was already split with the same content and output name
+ */
+function isUnchanged(relPath, hash, outputName) {
+    const previous = previousManifest[relPath];
+    return previous &&
+        previous.hash === hash &&
+        previous.output === outputName &&
+        Array.isArray(previous.variants) &&
+        previous.variants.every(variant => fs.existsSync(path.join(OUTPUT_FOLDERS[variant], outputName)));
+}
+
 /**
  * Recursively get all image files from a directory
  */
@@ -98,43 +149,51 @@ function getUniqueFilename(basename, folder, originalPath) {
 }
 
 /**
- * Split a sprite sheet into 4 individual sprites
+ * Split a sprite sheet into its individual sprites
  */
 async function splitSpriteSheet(inputPath) {
     try {
-        const image = sharp(inputPath);
-        const metadata = await image.metadata();
-        
-        // Calculate sprite dimensions
-        // 4 sprites in 1 row: front, front shiny, back, back shiny
-        const spriteWidth = Math.floor(metadata.width / 4);
-        const spriteHeight = metadata.height;
-        
+        // Names are registered for every sheet, split or not, so renames stay stable
         const basename = path.basename(inputPath);
         const uniqueBasename = getUniqueFilename(basename, path.dirname(inputPath), inputPath);
+        const relPath = path.relative(SPRITESETS_DIR, inputPath);
+        let hash = null;
+        
+        if (MANIFEST_FILE) {
+            hash = hashFile(inputPath);
+            if (isUnchanged(relPath, hash, uniqueBasename)) {
+                manifest[relPath] = previousManifest[relPath];
+                stats.unchanged++;
+                return;
+            }
+        }
         
-        // Define the 4 sprite positions: front, front shiny, back, back shiny
-        const sprites = [
-            { x: 0, y: 0, folder: OUTPUT_FOLDERS.front, name: 'front' },
-            { x: spriteWidth, y: 0, folder: OUTPUT_FOLDERS.frontShiny, name: 'front shiny' },
-            { x: spriteWidth * 2, y: 0, folder: OUTPUT_FOLDERS.back, name: 'back' },
-            { x: spriteWidth * 3, y: 0, folder: OUTPUT_FOLDERS.backShiny, name: 'back shiny' }
-        ];
+        // Throws for sheets that match no known layout
+        const layout = await detectSheetLayout(inputPath);
         
         // Extract and save each sprite
-        for (const sprite of sprites) {
-            const outputPath = path.join(sprite.folder, uniqueBasename);
+        for (const cell of layout.cells) {
+            const outputPath = path.join(OUTPUT_FOLDERS[cell.variant], uniqueBasename);
             
             await sharp(inputPath)
                 .extract({
-                    left: sprite.x,
-                    top: sprite.y,
-                    width: spriteWidth,
-                    height: spriteHeight
+                    left: cell.left,
+                    top: cell.top,
+                    width: cell.width,
+                    height: cell.height
                 })
                 .toFile(outputPath);
         }
         
+        if (MANIFEST_FILE) {
+            manifest[relPath] = {
+                hash: hash,
+                output: uniqueBasename,
+                variants: layout.cells.map(cell => cell.variant)
+            };
+        }
+        
+        stats.layouts[layout.name] = (stats.layouts[layout.name] || 0) + 1;
         stats.processed++;
         
         if (stats.processed % 50 === 0) {
@@ -198,15 +257,27 @@ async function main() {
     
     // Process all images
     console.log('\nProcessing sprite sheets...\n');
+    loadManifest();
     
     for (const imagePath of allImages) {
         await splitSpriteSheet(imagePath);
     }
     
+    if (MANIFEST_FILE) {
+        fs.mkdirSync(path.dirname(MANIFEST_FILE), { recursive: true });
+        fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2), 'utf8');
+    }
+    
     // Print results
     console.log('\n' + '='.repeat(50));
     console.log('\nProcessing complete!\n');
     console.log(`✓ Successfully processed: ${stats.processed}`);
+    if (MANIFEST_FILE) {
+        console.log(`= Unchanged (skipped): ${stats.unchanged}`);
+    }
+    for (const [layout, count] of Object.entries(stats.layouts)) {
+        console.log(`  Layout ${layout}: ${count}`);
+    }
     console.log(`✗ Failed: ${stats.failed}`);
     console.log(`⚠ Duplicates found: ${stats.duplicates.length}`);
     
@@ -241,6 +312,10 @@ async function main() {
     console.log('  - front shiny/');
     console.log('  - back/');
     console.log('  - back shiny/');
+
+    if (stats.failed > 0) {
+        process.exit(1);
+    }
 }
 
 // Check if Sharp is installed
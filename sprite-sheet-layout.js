@@ -0,0 +1,199 @@
+/**
+ * Sprite sheet layout detection
+ * Works out how the sprites of a moemon sheet are arranged from the image's
+ * dimensions and its empty gutters. Cells are assumed to be square.
+ *
+ * Supported layouts (cells in reading order):
+ *   4x1  front, front shiny, back, back shiny in one row
+ *   2x2  front, front shiny on top; back, back shiny below
+ *   1x1  a single front sprite
+ * Each may be padded with an empty margin around the sheet and an empty
+ * gutter between cells (up to MAX_PADDING pixels).
+ *
+ * Sprites are mostly opaque with a solid background color (the GBA transparent
+ * color), so "empty" means fully transparent or the color of the sheet's top-left
+ * pixel. Back sprites can use a slightly different background, so each cell's
+ * own background is taken from its top-left pixel.
+ *
+ * When several layouts fit, the one with 64px cells wins, then cells that are a
+ * multiple of 8px (whole GBA tiles), then the least padding.
+ *
+ * Usage: const { detectSheetLayout } = require('./sprite-sheet-layout');
+ *        const layout = await detectSheetLayout('0001-1.png');
+ *        // { name: '4x1', cellSize: 64, gutter: 0, margin: 0, cells: [{ variant, left, top, width, height }] }
+ */
+
+const sharp = require('sharp');
+
+const LAYOUTS = [
+    { name: '4x1', cols: 4, rows: 1, variants: ['front', 'front shiny', 'back', 'back shiny'] },
+    { name: '2x2', cols: 2, rows: 2, variants: ['front', 'front shiny', 'back', 'back shiny'] },
+    { name: '1x1', cols: 1, rows: 1, variants: ['front'] }
+];
+
+const MAX_PADDING = 8;
+const MIN_CELL_SIZE = 16;
+const PREFERRED_CELL_SIZE = 64;
+const TILE_SIZE = 8;
+
+// Front and front shiny of a 2x2 sheet share (almost) the same outline;
+// a single sprite cut into quarters does not
+const MIN_SHINY_MASK_SIMILARITY = 0.9;
+
+/**
+ * Candidate (margin, gutter) pairs
+ */
+function getPaddingCandidates(layout) {
+    const candidates = [];
+    const maxGutter = layout.cols > 1 || layout.rows > 1 ? MAX_PADDING : 0;
+    for (let margin = 0; margin <= MAX_PADDING; margin++) {
+        for (let gutter = 0; gutter <= maxGutter; gutter++) {
+            candidates.push({ margin, gutter });
+        }
+    }
+    return candidates;
+}
+
+function pixelAt(image, x, y) {
+    const offset = (y * image.width + x) * 4;
+    return image.data.readUInt32BE(offset);
+}
+
+/**
+ * Check whether a pixel is empty: fully transparent or the background color
+ */
+function isEmptyPixel(image, x, y, background) {
+    return image.data[(y * image.width + x) * 4 + 3] === 0 || pixelAt(image, x, y) === background;
+}
+
+/**
+ * Check that every pixel of a rectangle is empty
+ */
+function isEmpty(image, left, top, width, height, background) {
+    for (let y = top; y < top + height; y++) {
+        for (let x = left; x < left + width; x++) {
+            if (!isEmptyPixel(image, x, y, background)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Compare the sprite outlines of two cells (1 = identical)
+ */
+function maskSimilarity(image, a, b) {
+    const backgroundA = pixelAt(image, a.left, a.top);
+    const backgroundB = pixelAt(image, b.left, b.top);
+    let differing = 0;
+    let union = 0;
+    for (let y = 0; y < a.height; y++) {
+        for (let x = 0; x < a.width; x++) {
+            const inA = !isEmptyPixel(image, a.left + x, a.top + y, backgroundA);
+            const inB = !isEmptyPixel(image, b.left + x, b.top + y, backgroundB);
+            if (inA || inB) union++;
+            if (inA !== inB) differing++;
+        }
+    }
+    return union === 0 ? 0 : 1 - differing / union;
+}
+
+/**
+ * Try to fit a layout with the given padding, returning its cells or null
+ */
+function fitLayout(image, layout, margin, gutter) {
+    const innerWidth = image.width - 2 * margin - (layout.cols - 1) * gutter;
+    const innerHeight = image.height - 2 * margin - (layout.rows - 1) * gutter;
+    if (innerWidth % layout.cols !== 0 || innerHeight % layout.rows !== 0) return null;
+
+    const cellSize = innerWidth / layout.cols;
+    if (cellSize !== innerHeight / layout.rows || cellSize < MIN_CELL_SIZE) return null;
+
+    // Margins and gutters must be empty
+    const background = pixelAt(image, 0, 0);
+    if (margin > 0) {
+        const w = image.width;
+        const h = image.height;
+        if (!isEmpty(image, 0, 0, w, margin, background) || !isEmpty(image, 0, h - margin, w, margin, background) ||
+            !isEmpty(image, 0, 0, margin, h, background) || !isEmpty(image, w - margin, 0, margin, h, background)) {
+            return null;
+        }
+    }
+    if (gutter > 0) {
+        for (let col = 1; col < layout.cols; col++) {
+            const left = margin + col * cellSize + (col - 1) * gutter;
+            if (!isEmpty(image, left, 0, gutter, image.height, background)) return null;
+        }
+        for (let row = 1; row < layout.rows; row++) {
+            const top = margin + row * cellSize + (row - 1) * gutter;
+            if (!isEmpty(image, 0, top, image.width, gutter, background)) return null;
+        }
+    }
+
+    const cells = layout.variants.map((variant, i) => ({
+        variant: variant,
+        left: margin + (i % layout.cols) * (cellSize + gutter),
+        top: margin + Math.floor(i / layout.cols) * (cellSize + gutter),
+        width: cellSize,
+        height: cellSize
+    }));
+
+    // Every cell needs a sprite in it
+    if (cells.some(cell => isEmpty(image, cell.left, cell.top, cell.width, cell.height, pixelAt(image, cell.left, cell.top)))) {
+        return null;
+    }
+
+    if (layout.name === '2x2' && maskSimilarity(image, cells[0], cells[1]) < MIN_SHINY_MASK_SIMILARITY) {
+        return null;
+    }
+
+    return { cellSize, cells };
+}
+
+/**
+ * Order fits: 64px cells, then whole tiles, then least padding, then LAYOUTS order
+ */
+function compareFits(a, b) {
+    const rank = fit => [
+        fit.cellSize === PREFERRED_CELL_SIZE ? 0 : 1,
+        fit.cellSize % TILE_SIZE === 0 ? 0 : 1,
+        fit.margin + fit.gutter,
+        fit.gutter,
+        fit.order
+    ];
+    const rankA = rank(a);
+    const rankB = rank(b);
+    for (let i = 0; i < rankA.length; i++) {
+        if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i];
+    }
+    return 0;
+}
+
+/**
+ * Detect the layout of a sprite sheet
+ * Throws if the sheet matches none of the known layouts
+ */
+async function detectSheetLayout(inputPath) {
+    const { data, info } = await sharp(inputPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const image = { data: data, width: info.width, height: info.height };
+
+    const fits = [];
+    LAYOUTS.forEach((layout, order) => {
+        for (const { margin, gutter } of getPaddingCandidates(layout)) {
+            const fit = fitLayout(image, layout, margin, gutter);
+            if (fit) {
+                fits.push({ name: layout.name, cellSize: fit.cellSize, gutter, margin, cells: fit.cells, order });
+            }
+        }
+    });
+
+    if (fits.length === 0) {
+        throw new Error(`Unrecognized sheet layout (${image.width}x${image.height}): expected 4x1, 2x2 or 1x1 square sprites with at most ${MAX_PADDING}px empty padding`);
+    }
+
+    const { name, cellSize, gutter, margin, cells } = fits.sort(compareFits)[0];
+    return { name, cellSize, gutter, margin, cells };
+}
+
+module.exports = { detectSheetLayout, LAYOUTS };
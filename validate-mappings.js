@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the mappings against the sprite folders
+ * Cross-checks dex-to-rr-mapping.json and dex-to-moemon-mapping-processed.json
+ * with the four variant folders of the RR and Moemon sprite directories.
+ *
+ * Errors (exit code 1):
+ *   - mapping entries whose sprite is missing in any variant folder
+ *   - moemon forms with the same name within a dexID
+ *   - dexIDs with several canonical forms sharing a name
+ *   - moemon forms whose dexID disagrees with the filename prefix
+ *   - RR forms that share a key (Unown letters, Burmy cloaks, Deerling seasons,
+ *     see ordered-forms.js) not linked to their own moemon forms in the link
+ *     table (skipped without the link table)
+ * Warnings:
+ *   - sprite files that no mapping references
+ *
+ * Usage: node validate-mappings.js [rr-mapping] [moemon-mapping] [rr-sprite-dir] [moemon-sprite-dir] [links-file]
+ * Default: node validate-mappings.js ./dex-to-rr-mapping.json ./dex-to-moemon-mapping-processed.json ./Radical-Red-Pokedex-master/graphics/species ./moemon-sprites-split ./pokemon-moemon-links.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isOrderedKey, getOrderTokens } = require('./ordered-forms');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const rrMappingFile = args[0] || './dex-to-rr-mapping.json';
+const moemonMappingFile = args[1] || './dex-to-moemon-mapping-processed.json';
+const rrSpriteDir = args[2] || './Radical-Red-Pokedex-master/graphics/species';
+const moemonSpriteDir = args[3] || './moemon-sprites-split';
+const linksFile = args[4] || './pokemon-moemon-links.json';
+
+const VARIANTS = ['front', 'front shiny', 'back', 'back shiny'];
+const MAX_LISTED = 20;
+
+console.log('Mapping Validator\n');
+console.log('='.repeat(50));
+
+for (const file of [rrMappingFile, moemonMappingFile]) {
+    if (!fs.existsSync(file)) {
+        console.error(`Error: File '${file}' not found`);
+        process.exit(1);
+    }
+}
+
+console.log(`Reading ${rrMappingFile}...`);
+const rrMapping = JSON.parse(fs.readFileSync(rrMappingFile, 'utf8'));
+console.log(`Reading ${moemonMappingFile}...`);
+const moemonMapping = JSON.parse(fs.readFileSync(moemonMappingFile, 'utf8'));
+
+// Each check: { title, level: 'error' | 'warning', problems: [string], hint }
+const checks = [];
+
+function addCheck(title, level, problems, hint = null) {
+    checks.push({ title, level, problems, hint });
+}
+
+/**
+ * List the PNGs of every variant folder: variant -> Set of filenames, or null if the folder is missing
+ */
+function listVariants(dir) {
+    const files = {};
+    for (const variant of VARIANTS) {
+        const folder = path.join(dir, variant);
+        files[variant] = fs.existsSync(folder)
+            ? new Set(fs.readdirSync(folder)
+                .filter(file => file.toLowerCase().endsWith('.png'))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true })))
+            : null;
+    }
+    return files;
+}
+
+/**
+ * Compare the filenames a mapping expects with a sprite folder, both ways
+ */
+function checkSpriteFolder(label, dir, expected) {
+    const files = listVariants(dir);
+    const missing = [];
+    const missingVariants = new Map();
+    const unreferenced = new Map();
+    const note = (map, key, variant) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(variant);
+    };
+
+    for (const variant of VARIANTS) {
+        if (!files[variant]) {
+            missing.push(`${path.join(dir, variant)}: folder not found`);
+            continue;
+        }
+        for (const [filename, owner] of expected) {
+            if (!files[variant].has(filename)) note(missingVariants, `${owner} (${filename})`, variant);
+        }
+        for (const filename of files[variant]) {
+            if (!expected.has(filename)) note(unreferenced, filename, variant);
+        }
+    }
+
+    for (const [entry, variants] of missingVariants) {
+        missing.push(`${entry}: no ${variants.join(', ')} sprite`);
+    }
+    addCheck(`${label} mapping entries with missing sprites`, 'error', missing);
+    addCheck(`${label} sprites no mapping references`, 'warning',
+        Array.from(unreferenced, ([filename, variants]) => `${filename} (${variants.join(', ')})`));
+}
+
+// RR sprites are named <ID>.png; Moemon sprites keep their split filename
+const rrFiles = new Map();
+for (const [dexID, forms] of Object.entries(rrMapping)) {
+    for (const form of forms) {
+        rrFiles.set(`${form.ID}.png`, `#${dexID} ${form.key}`);
+    }
+}
+const moemonFiles = new Map();
+for (const [dexID, forms] of Object.entries(moemonMapping)) {
+    for (const form of forms) {
+        moemonFiles.set(form.filename, `#${dexID} ${form.name}`);
+    }
+}
+
+console.log('Checking sprite folders...');
+checkSpriteFolder('Radical Red', rrSpriteDir, rrFiles);
+checkSpriteFolder('Moemon', moemonSpriteDir, moemonFiles);
+
+console.log('Checking moemon forms...');
+const duplicateNames = [];
+const canonicalClashes = [];
+const dexMismatches = [];
+
+for (const [dexID, forms] of Object.entries(moemonMapping)) {
+    const byName = new Map();
+    for (const form of forms) {
+        if (!byName.has(form.name)) byName.set(form.name, []);
+        byName.get(form.name).push(form);
+
+        // "0006(MX)-1.png" belongs to dexID 6
+        const prefix = form.filename.match(/^(\d+)/);
+        if (!prefix || parseInt(prefix[1]) !== parseInt(dexID) || form.dexID !== parseInt(dexID)) {
+            dexMismatches.push(`#${dexID} ${form.filename}: dexID ${form.dexID}, filename prefix ${prefix ? parseInt(prefix[1]) : 'none'}`);
+        }
+    }
+
+    for (const [name, sameName] of byName) {
+        if (sameName.length < 2) continue;
+        const files = sameName.map(form => form.filename).join(', ');
+        if (sameName.filter(form => form.isCanonical).length > 1) {
+            canonicalClashes.push(`#${dexID} ${name}: ${files}`);
+        } else {
+            duplicateNames.push(`#${dexID} ${name}: ${files}`);
+        }
+    }
+}
+
+addCheck('Moemon forms sharing a name within a dexID', 'error', duplicateNames,
+    'Numbered variants of a named form (e.g. (R)-1, (R)-2) all get that name; rename them in moemon-overrides.json or hide the extra ones');
+addCheck('Canonical moemon forms sharing a name', 'error', canonicalClashes);
+addCheck('Moemon dexIDs that disagree with the filename', 'error', dexMismatches);
+
+// Moemon forms of an ordered RR form link to its ID only, e.g. Burmy-Sandy to
+// the Burmy with order 1 (tokens from ordered-forms.js, order 0 is also unsuffixed)
+if (fs.existsSync(linksFile)) {
+    console.log(`Checking ${linksFile}...`);
+    const links = JSON.parse(fs.readFileSync(linksFile, 'utf8')).links;
+    const orderedMismatches = [];
+    for (const [dexID, rrForms] of Object.entries(rrMapping)) {
+        for (const rrForm of rrForms.filter(form => isOrderedKey(form.key))) {
+            const tokens = getOrderTokens(rrForm.key, rrForm.order);
+            if (rrForm.order === 0) tokens.push('');
+
+            for (const form of moemonMapping[dexID] || []) {
+                const suffix = form.name.startsWith(rrForm.name)
+                    ? form.name.slice(rrForm.name.length).toLowerCase().split('-').filter(part => part && !/^v\d+$/.test(part)).join('-')
+                    : null;
+                if (!tokens.includes(suffix)) continue;
+
+                const linked = links.filter(link => link.moemon.includes(form.filename)).map(link => link.ID);
+                if (!linked.includes(rrForm.ID) || linked.length > 1) {
+                    orderedMismatches.push(`RR ID ${rrForm.ID} (${rrForm.key}, order ${rrForm.order}) ↔ ${form.filename}: linked to RR ID(s) ${linked.join(', ') || 'none'}`);
+                }
+            }
+        }
+    }
+    addCheck('Ordered RR forms not linked to their own moemon form', 'error', orderedMismatches);
+} else {
+    console.log(`Skipped link checks ('${linksFile}' not found)`);
+}
+
+// Print results
+console.log('\n' + '='.repeat(50));
+let errorCount = 0;
+let warningCount = 0;
+
+for (const check of checks) {
+    if (check.problems.length === 0) {
+        console.log(`\n✓ ${check.title}: none`);
+        continue;
+    }
+
+    const mark = check.level === 'error' ? '✗' : '⚠';
+    console.log(`\n${mark} ${check.title}: ${check.problems.length}`);
+    for (const problem of check.problems.slice(0, MAX_LISTED)) {
+        console.log(`    ${problem}`);
+    }
+    if (check.problems.length > MAX_LISTED) {
+        console.log(`    ... and ${check.problems.length - MAX_LISTED} more`);
+    }
+    if (check.hint) {
+        console.log(`  ${check.hint}`);
+    }
+
+    if (check.level === 'error') errorCount += check.problems.length;
+    else warningCount += check.problems.length;
+}
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`\n${errorCount === 0 ? '✓' : '✗'} ${errorCount} error(s), ${warningCount} warning(s)`);
+
+if (errorCount > 0) {
+    process.exit(1);
+}